@@ -1,24 +1,103 @@
-import { LightningElement, wire, track, api } from 'lwc';
+import { LightningElement, track, api } from 'lwc';
 import { loadScript, loadStyle } from 'lightning/platformResourceLoader';
 import { NavigationMixin } from 'lightning/navigation';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import leafletResource from '@salesforce/resourceUrl/Leaflet';
-import getAllLocations from '@salesforce/apex/CompanyMapController.getAllLocations';
+import getLocationsInBounds from '@salesforce/apex/CompanyMapController.getLocationsInBounds';
+import getFilterDefinitions from '@salesforce/apex/CompanyMapController.getFilterDefinitions';
+import getHeatMetrics from '@salesforce/apex/CompanyMapController.getHeatMetrics';
+import searchArea from '@salesforce/apex/CompanyMapController.searchArea';
+import exportSearchResults from '@salesforce/apex/CompanyMapController.exportSearchResults';
+import { downloadFile } from 'c/noteFileDownload';
 import leafletHeat from '@salesforce/resourceUrl/LeafletHeat';
+import leafletMarkerCluster from '@salesforce/resourceUrl/LeafletMarkerCluster';
+
+const COMPANY_COLOR = '#1976d2';
+const LAB_COLOR = '#f57c00';
+
+// Initial view: the contiguous United States
+const DEFAULT_CENTER = [39.83, -98.58];
+const DEFAULT_ZOOM = 4;
+
+const MOVE_DEBOUNCE_MS = 300;
+const FILTER_DEBOUNCE_MS = 400;
+
+// Same stops as leaflet-heat's default, set explicitly so the legend can match them
+const HEAT_GRADIENT = { 0.4: 'blue', 0.6: 'cyan', 0.7: 'lime', 0.8: 'yellow', 1.0: 'red' };
+const COUNT_METRIC = { label: 'Number of locations', value: '' };
+
+const ANY_OPTION = { label: 'Any', value: '' };
+const BOOLEAN_OPTIONS = [
+    { label: 'Yes', value: 'true' },
+    { label: 'No', value: 'false' }
+];
+const MAX_CACHED_TILES = 300;
+const MAX_CACHED_MARKERS = 10000;
+
+const SEARCH_COLOR = '#2e844a';
+const METERS_PER_MILE = 1609.344;
+const DEFAULT_SEARCH_RADIUS = 50; // miles
+const MIN_SEARCH_RADIUS = 1; // CompanyMapSearch.MIN_RADIUS_MILES
+const MAX_SEARCH_RADIUS = 500; // CompanyMapSearch.MAX_RADIUS_MILES
 
 export default class AllCompaniesMap extends NavigationMixin(LightningElement) {
-    @track locations = [];
+    @track locations = []; // points in the current viewport
+    @track cells = []; // grid cells summarizing locations when zoomed out
     @track selectedView = 'all'; // Default to show all selection
     map;
     markers = []; // Store all markers for filtering
+    // Companies and labs cluster separately so each cluster keeps its type's color
+    companyCluster;
+    labCluster;
     leafletLoaded = false;
+    leafletRequested = false;
     isLoading = true;
+    isTruncated = false; // some grid cells in view count only part of their locations
     error;
 
+    // Locations are fetched per tile of the viewport; tiles are cached by zoom and
+    // position so panning back or zooming back in does not hit the server again
+    tileCache = new Map();
+    markerCache = new Map();
+    moveTimeout;
+    viewportRequest = 0;
+
     // Configuration properties for Lightning App Builder
     @api height = 1000; // Default height in pixels
+    // Fields offered in the filter panel, e.g. "OwnerId, CreatedDate, Company__c.Industry__c"
+    @api filterFields = 'OwnerId,CreatedDate';
+
+    // Attribute filters, applied on the server for every tile
+    filterDefinitions = [];
+    filterValues = {}; // definition key -> { values, minValue, maxValue }
+    showFilters = false;
+    filterTimeout;
 
     heatLayer; 
     isHeatMap = false; 
+    // Numeric fields offered as heat intensity, e.g. "Company__c.Funding_Amount__c, Score__c"
+    @api heatMetricFields = '';
+    heatMetricOptions = [COUNT_METRIC];
+    selectedHeatMetric = '';
+    heatRadius = 20;
+    heatBlur = 25;
+    heatMax = 0; // largest weight in view; the top of the legend
+
+    // Area search: 'circle' searches around a clicked point or marker, 'polygon' collects
+    // clicked vertices until the outline is finished
+    searchMode;
+    searchRadius = DEFAULT_SEARCH_RADIUS;
+    polygonPoints = [];
+    draftLayer; // outline of the polygon being drawn
+    searchLayer; // the searched circle or polygon
+    currentSearch; // CompanyMapSearch.SearchArea without filters, rerun when filters change
+    searchCenterName;
+    searchResults = [];
+    searchTruncated = false; // the server stopped before listing every match
+    showSearchPanel = false;
+    isSearching = false;
+    isExporting = false;
+    radiusTimeout;
 
     // View filter options
     viewOptions = [
@@ -29,46 +108,36 @@ export default class AllCompaniesMap extends NavigationMixin(LightningElement) {
         { label: 'Heatmap', value: 'heatmap' }
     ];
 
-    @wire(getAllLocations)
-    wiredLocations({ error, data }) {
-        if (data) {
-            this.locations = data;
-            this.error = undefined;
-            this.isLoading = false;
-            
-            if (this.hasLocations) {
-                if (!this.leafletLoaded) {
-                    this.loadLeafletAndInitializeMap();
-                } else {
-                    this.initializeMap();
-                }
-            }
-        } else if (error) {
-            this.error = error.body?.message || 'Unknown error occurred';
-            this.locations = [];
-            this.isLoading = false;
-            this.teardownMap();
-        }
+    connectedCallback() {
+        this.loadFilterDefinitions();
+        this.loadHeatMetrics();
     }
 
     get hasLocations() {
-        return this.locations && this.locations.length > 0;
+        return this.locationsCount > 0;
     }
 
     get noLocations() {
-        return !this.isLoading && !this.error && (!this.locations || this.locations.length === 0);
+        return !this.isLoading && !this.error && !this.hasLocations;
+    }
+
+    // Cells stand for several locations, points for one
+    countLocations(items, type) {
+        return items
+            .filter(item => !type || item.Type === type)
+            .reduce((sum, item) => sum + (item.Count || 1), 0);
     }
 
     get locationsCount() {
-        return this.locations ? this.locations.length : 0;
+        return this.countLocations(this.locations) + this.countLocations(this.cells);
     }
 
     get companiesCount() {
-        return this.locations ? this.locations.filter(loc => loc.Type === 'Company').length : 0;
+        return this.countLocations(this.locations, 'Company') + this.countLocations(this.cells, 'Company');
     }
 
     get labsCount() {
-        return this.locations ? this.locations.filter(loc => loc.Type === 'Lab').length : 0;
+        return this.countLocations(this.locations, 'Lab') + this.countLocations(this.cells, 'Lab');
     }
 
     // Get filtered locations based on selected view
@@ -86,8 +155,28 @@ export default class AllCompaniesMap extends NavigationMixin(LightningElement) {
         }
     }
 
+    get filteredCells() {
+        switch (this.selectedView) {
+            case 'companies':
+                return this.cells.filter(cell => cell.Type === 'Company');
+            case 'labs':
+                return this.cells.filter(cell => cell.Type === 'Lab');
+            default:
+                return this.cells;
+        }
+    }
+
+    get isHeatActive() {
+        return this.isHeatMap || this.selectedView === 'heatmap';
+    }
+
     // Handle map resize when dimensions change (called when properties change)
     renderedCallback() {
+        if (!this.leafletRequested) {
+            this.leafletRequested = true;
+            this.loadLeafletAndInitializeMap();
+        }
+
         // Apply dynamic height to map container
         const mapContainer = this.template.querySelector('.map-container');
         if (mapContainer && this.height) {
@@ -104,15 +193,15 @@ export default class AllCompaniesMap extends NavigationMixin(LightningElement) {
     }
 
     get visibleLocationsCount() {
-        return this.filteredLocations.length;
+        return this.countLocations(this.filteredLocations) + this.countLocations(this.filteredCells);
     }
 
     get visibleCompaniesCount() {
-        return this.filteredLocations.filter(loc => loc.Type === 'Company').length;
+        return this.countLocations(this.filteredLocations, 'Company') + this.countLocations(this.filteredCells, 'Company');
     }
 
     get visibleLabsCount() {
-        return this.filteredLocations.filter(loc => loc.Type === 'Lab').length;
+        return this.countLocations(this.filteredLocations, 'Lab') + this.countLocations(this.filteredCells, 'Lab');
     }
 
     // Handle view filter change
@@ -146,27 +235,79 @@ export default class AllCompaniesMap extends NavigationMixin(LightningElement) {
     showHeatMap() {
         if (!this.map || !window.L.heatLayer) return;
 
-        this.markers.forEach(marker => this.map.removeLayer(marker)); //remove markers first
+        this.removeClusterGroups(); //remove markers first
 
         if (this.heatLayer) {
             this.map.removeLayer(this.heatLayer);
         }
 
-        const heatData = this.locations.map(loc => [
-            loc.Latitude, loc.Longitude, 0.8 // weight of each point
-        ])
+        // Heat follows the Company/Lab view and the attribute filters like the markers do
+        const weighted = [...this.filteredLocations, ...this.filteredCells].filter(item => item.Weight > 0);
+        this.heatMax = weighted.reduce((max, item) => Math.max(max, item.Weight), 0);
+        const heatData = weighted.map(item => [item.Latitude, item.Longitude, item.Weight / this.heatMax]);
 
         this.heatLayer = L.heatLayer(heatData, {
-            radius: 20,
-            blur: 25,
+            radius: this.heatRadius,
+            blur: this.heatBlur,
             maxZoom: 17,
-            minOpacity: 0.3
+            minOpacity: 0.3,
+            max: 1,
+            gradient: HEAT_GRADIENT
         });
         this.heatLayer.addTo(this.map);
+    }
 
-        if (heatData.length > 0) {
-            const bounds = L.latLngBounds(heatData.map(([lat, lng]) => [lat, lng]));
-            this.map.fitBounds(bounds);
+    loadHeatMetrics() {
+        if (!this.heatMetricFields) return;
+        getHeatMetrics({ metricFields: this.heatMetricFields })
+            .then(data => {
+                this.heatMetricOptions = [COUNT_METRIC, ...data.map(metric => ({ label: metric.label, value: metric.key }))];
+            })
+            .catch(error => {
+                console.error('Error loading heat metrics:', error);
+            });
+    }
+
+    get hasHeatMetrics() {
+        return this.heatMetricOptions.length > 1;
+    }
+
+    get heatMetricLabel() {
+        const metric = this.heatMetricOptions.find(option => option.value === this.selectedHeatMetric);
+        return metric ? metric.label : COUNT_METRIC.label;
+    }
+
+    get heatLegendStyle() {
+        const stops = Object.keys(HEAT_GRADIENT)
+            .map(stop => `${HEAT_GRADIENT[stop]} ${stop * 100}%`)
+            .join(', ');
+        return `background: linear-gradient(to right, ${stops});`;
+    }
+
+    get heatMaxLabel() {
+        return this.heatMax.toLocaleString(undefined, { maximumFractionDigits: 2 });
+    }
+
+    handleHeatMetricChange(event) {
+        this.selectedHeatMetric = event.detail.value;
+        // Weights come from the server, so tiles are fetched again for the new metric
+        this.tileCache.clear();
+        this.loadViewport();
+    }
+
+    handleHeatRadiusChange(event) {
+        this.heatRadius = event.detail.value;
+        this.updateHeatOptions();
+    }
+
+    handleHeatBlurChange(event) {
+        this.heatBlur = event.detail.value;
+        this.updateHeatOptions();
+    }
+
+    updateHeatOptions() {
+        if (this.heatLayer) {
+            this.heatLayer.setOptions({ radius: this.heatRadius, blur: this.heatBlur });
         }
     }
 
@@ -174,14 +315,19 @@ export default class AllCompaniesMap extends NavigationMixin(LightningElement) {
         try {
             await Promise.all([
                 loadStyle(this, leafletResource + '/dist/leaflet.css'),
-                loadScript(this, leafletResource + '/dist/leaflet.js'), 
-
-                loadScript(this, leafletHeat + '/leafletheat/leaflet-heat.js')
+                loadScript(this, leafletResource + '/dist/leaflet.js')
+            ]);
+            // Plugins extend L, so they load once Leaflet itself is in place
+            await Promise.all([
+                loadScript(this, leafletHeat + '/leafletheat/leaflet-heat.js'),
+                loadStyle(this, leafletMarkerCluster + '/dist/MarkerCluster.css'),
+                loadScript(this, leafletMarkerCluster + '/dist/leaflet.markercluster.js')
             ]);
             this.leafletLoaded = true;
             this.initializeMap();
         } catch (error) {
             this.error = 'Failed to load map resources';
+            this.isLoading = false;
             console.error('Error loading Leaflet:', error);
         }
     }
@@ -202,9 +348,53 @@ export default class AllCompaniesMap extends NavigationMixin(LightningElement) {
         });
     }
 
+    // Cluster bubble showing how many locations it holds, sized by count
+    createClusterIcon(count, color) {
+        let size = 30;
+        if (count >= 1000) {
+            size = 52;
+        } else if (count >= 100) {
+            size = 44;
+        } else if (count >= 10) {
+            size = 36;
+        }
+        return window.L.divIcon({
+            html: `<div style="
+                background-color: ${color};
+                color: white;
+                width: ${size}px;
+                height: ${size}px;
+                line-height: ${size - 6}px;
+                border-radius: 50%;
+                border: 3px solid rgba(255,255,255,0.8);
+                box-shadow: 0 2px 6px rgba(0,0,0,0.35);
+                text-align: center;
+                font-weight: bold;
+                font-size: 12px;
+            ">${count}</div>`,
+            className: 'custom-marker',
+            iconSize: [size, size],
+            iconAnchor: [size / 2, size / 2]
+        });
+    }
+
+    createClusterGroup(color) {
+        return window.L.markerClusterGroup({
+            chunkedLoading: true, // add thousands of markers without blocking the page
+            showCoverageOnHover: false,
+            spiderfyOnMaxZoom: true,
+            maxClusterRadius: 60,
+            // Grid cell markers already stand for several locations
+            iconCreateFunction: cluster => this.createClusterIcon(
+                cluster.getAllChildMarkers().reduce((sum, marker) => sum + (marker.locationCount || 1), 0),
+                color
+            )
+        });
+    }
+
     initializeMap() {
         const container = this.template.querySelector('.map-container');
-        if (!container || !this.hasLocations) return;
+        if (!container) return;
 
         this.teardownMap();
 
@@ -212,7 +402,7 @@ export default class AllCompaniesMap extends NavigationMixin(LightningElement) {
         this.map = L.map(container, {
             zoomControl: true,
             scrollWheelZoom: true
-        });
+        }).setView(DEFAULT_CENTER, DEFAULT_ZOOM);
 
         // Add tile layer
         L.tileLayer('https://tile.openstreetmap.org/{z}/{x}/{y}.png', {
@@ -220,11 +410,13 @@ export default class AllCompaniesMap extends NavigationMixin(LightningElement) {
             maxZoom: 18
         }).addTo(this.map);
 
-        // Create all markers but don't add them to the map yet
-        this.createAllMarkers();
-        
-        // Update map markers based on current filter
-        this.updateMapMarkers();
+        this.companyCluster = this.createClusterGroup(COMPANY_COLOR);
+        this.labCluster = this.createClusterGroup(LAB_COLOR);
+
+        // Fires after both pans and zooms
+        this.map.on('moveend', () => this.handleMapMove());
+        this.map.on('click', event => this.handleMapClick(event));
+        this.loadViewport();
 
         // Ensure map renders properly
         setTimeout(() => {
@@ -234,76 +426,209 @@ export default class AllCompaniesMap extends NavigationMixin(LightningElement) {
         }, 100);
     }
 
-    createAllMarkers() {
-        this.markers = [];
-        
-        this.locations.forEach(location => {
-            // Determine marker color and icon based on type
-            const isCompany = location.Type === 'Company';
-            const markerColor = isCompany ? '#1976d2' : '#f57c00'; // Blue for companies, Orange for labs
-            const customIcon = this.createCustomIcon(markerColor);
-            
-            const marker = L.marker([location.Latitude, location.Longitude], {
-                icon: customIcon
-            })
-                .bindPopup(`
-                    <div style="text-align: center;">
-                        <strong>${location.Name}</strong><br>
-                        <small style="color: ${markerColor}; font-weight: bold;">
-                            ${isCompany ? 'Company' : 'Research Lab'}
-                        </small><br>
-                        <small>Click to view details</small>
-                    </div>
-                `).bindTooltip(`${location.Name} (${location.Type})`, {
-                    permanent: false,
-                    direction: 'top',
-                    offset: [0, -10]
+    handleMapMove() {
+        clearTimeout(this.moveTimeout);
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this.moveTimeout = setTimeout(() => this.loadViewport(), MOVE_DEBOUNCE_MS);
+    }
+
+    // Tiles covering the viewport, aligned to the server's grid: 16 cells per tile edge
+    // at the current zoom, so a grid cell never straddles two tiles
+    visibleTiles() {
+        const zoom = this.map.getZoom();
+        const size = Math.min(360, 1440 / 2 ** zoom);
+        const bounds = this.map.getBounds();
+        const maxRow = Math.ceil(180 / size) - 1;
+        const maxCol = Math.ceil(360 / size) - 1;
+        const rowOf = lat => Math.min(maxRow, Math.floor((Math.min(Math.max(lat, -90), 90) + 90) / size));
+        const colOf = lng => Math.min(maxCol, Math.floor((Math.min(Math.max(lng, -180), 180) + 180) / size));
+
+        const tiles = [];
+        for (let row = rowOf(bounds.getSouth()); row <= rowOf(bounds.getNorth()); row++) {
+            for (let col = colOf(bounds.getWest()); col <= colOf(bounds.getEast()); col++) {
+                tiles.push({
+                    key: `${zoom}:${row}:${col}`,
+                    zoom,
+                    south: -90 + row * size,
+                    north: Math.min(90, -90 + (row + 1) * size),
+                    west: -180 + col * size,
+                    east: Math.min(180, -180 + (col + 1) * size)
                 });
-            
-            // Add click event to navigate to record
-            marker.on('click', () => {
-                this.navigateToRecord(location.Id, location.Type);
-            });
+            }
+        }
+        return tiles;
+    }
 
-            // Store marker with location data for filtering
-            marker.locationData = location;
-            this.markers.push(marker);
-        });
+    // Returns the cached request for a tile, starting one if needed
+    fetchTile(tile) {
+        if (!this.tileCache.has(tile.key)) {
+            const request = getLocationsInBounds({
+                south: tile.south,
+                west: tile.west,
+                north: tile.north,
+                east: tile.east,
+                zoom: tile.zoom,
+                filters: this.activeFilters,
+                heatMetric: this.selectedHeatMetric
+            }).catch(error => {
+                // The cache may have been cleared and refilled while this request was out
+                if (this.tileCache.get(tile.key) === request) {
+                    this.tileCache.delete(tile.key);
+                }
+                throw error;
+            });
+            this.tileCache.set(tile.key, request);
+            // Map keeps insertion order, so the oldest tile is dropped first
+            if (this.tileCache.size > MAX_CACHED_TILES) {
+                this.tileCache.delete(this.tileCache.keys().next().value);
+            }
+        }
+        return this.tileCache.get(tile.key);
     }
 
-    updateMapMarkers() {
+    async loadViewport() {
         if (!this.map) return;
+        const tiles = this.visibleTiles();
+        const requestId = ++this.viewportRequest;
+        if (tiles.some(tile => !this.tileCache.has(tile.key))) {
+            this.isLoading = true;
+        }
+
+        try {
+            const results = await Promise.all(tiles.map(tile => this.fetchTile(tile)));
+            // A later move has already asked for a different viewport
+            if (requestId !== this.viewportRequest || !this.map) return;
+            this.error = undefined;
+            this.locations = results.flatMap(result => result.Points);
+            this.cells = results.flatMap(result => result.Cells);
+            this.isTruncated = results.some(result => result.Truncated);
+            this.refreshMarkers();
+            if (this.isHeatActive) {
+                this.showHeatMap();
+            } else {
+                this.updateMapMarkers();
+            }
+        } catch (error) {
+            this.error = error.body?.message || 'Unknown error occurred';
+        } finally {
+            if (requestId === this.viewportRequest) {
+                this.isLoading = false;
+            }
+        }
+    }
 
-        // Remove all markers from map
-        this.markers.forEach(marker => {
-            this.map.removeLayer(marker);
+    createMarker(location) {
+        // Determine marker color and icon based on type
+        const isCompany = location.Type === 'Company';
+        const markerColor = isCompany ? COMPANY_COLOR : LAB_COLOR; // Blue for companies, Orange for labs
+        const customIcon = this.createCustomIcon(markerColor);
+        
+        const marker = L.marker([location.Latitude, location.Longitude], {
+            icon: customIcon
+        })
+            .bindPopup(`
+                <div style="text-align: center;">
+                    <strong>${location.Name}</strong><br>
+                    <small style="color: ${markerColor}; font-weight: bold;">
+                        ${isCompany ? 'Company' : 'Research Lab'}
+                    </small><br>
+                    <small>Click to view details</small>
+                </div>
+            `).bindTooltip(`${location.Name} (${location.Type})`, {
+                permanent: false,
+                direction: 'top',
+                offset: [0, -10]
+            });
+        
+        // Add click event to navigate to record, or to search around it in radius search mode
+        marker.on('click', () => {
+            if (this.searchMode === 'circle') {
+                this.searchAroundPoint(location.Latitude, location.Longitude, location.Name);
+            } else {
+                this.navigateToRecord(location.Id, location.Type);
+            }
         });
 
-        // Get filtered locations
-        const filteredLocations = this.filteredLocations;
-        const visibleMarkers = [];
-
-        // Add only the filtered markers to the map
-        this.markers.forEach(marker => {
-            const shouldShow = filteredLocations.some(loc => 
-                loc.Id === marker.locationData.Id && loc.Type === marker.locationData.Type
-            );
-            
-            if (shouldShow) {
-                marker.addTo(this.map);
-                visibleMarkers.push(marker);
+        // Store marker with location data for filtering
+        marker.locationData = location;
+        return marker;
+    }
+
+    // Bubble for a grid cell; clicking it zooms into the cell
+    createCellMarker(cell) {
+        const isCompany = cell.Type === 'Company';
+        const marker = window.L.marker([cell.Latitude, cell.Longitude], {
+            icon: this.createClusterIcon(cell.Count, isCompany ? COMPANY_COLOR : LAB_COLOR)
+        }).bindTooltip(`${cell.Count} ${isCompany ? 'companies' : 'research labs'}`, {
+            permanent: false,
+            direction: 'top'
+        });
+        marker.on('click', () => {
+            this.map.fitBounds([[cell.South, cell.West], [cell.North, cell.East]]);
+        });
+        marker.locationCount = cell.Count;
+        return marker;
+    }
+
+    // Rebuilds the cluster groups from the locations and cells in the viewport
+    refreshMarkers() {
+        const companyMarkers = [];
+        const labMarkers = [];
+
+        this.locations.forEach(location => {
+            const key = `${location.Type}:${location.Id}`;
+            let marker = this.markerCache.get(key);
+            if (marker) {
+                // Re-inserted so the cache is ordered from least to most recently shown
+                this.markerCache.delete(key);
+            } else {
+                marker = this.createMarker(location);
             }
+            this.markerCache.set(key, marker);
+            (location.Type === 'Company' ? companyMarkers : labMarkers).push(marker);
+        });
+        while (this.markerCache.size > MAX_CACHED_MARKERS) {
+            this.markerCache.delete(this.markerCache.keys().next().value);
+        }
+        this.cells.forEach(cell => {
+            (cell.Type === 'Company' ? companyMarkers : labMarkers).push(this.createCellMarker(cell));
         });
+        this.markers = [...companyMarkers, ...labMarkers];
 
-        // Fit map to show visible markers
-        if (visibleMarkers.length > 0) {
-            const bounds = this.calculateBoundsForMarkers(visibleMarkers);
-            if (bounds) {
-                this.map.fitBounds(bounds, {
-                    padding: [20, 20]
-                });
+        // Bulk add is much faster than adding markers one at a time
+        this.companyCluster.clearLayers();
+        this.companyCluster.addLayers(companyMarkers);
+        this.labCluster.clearLayers();
+        this.labCluster.addLayers(labMarkers);
+    }
+
+    removeClusterGroups() {
+        [this.companyCluster, this.labCluster].forEach(group => {
+            if (group && this.map.hasLayer(group)) {
+                this.map.removeLayer(group);
             }
+        });
+    }
+
+    updateMapMarkers() {
+        if (!this.map) return;
+
+        if (this.heatLayer) {
+            this.map.removeLayer(this.heatLayer);
+            this.heatLayer = null;
         }
+
+        // Filtering shows or hides a whole cluster group instead of touching every marker
+        const showCompanies = this.selectedView !== 'labs';
+        const showLabs = this.selectedView !== 'companies';
+        [[this.companyCluster, showCompanies], [this.labCluster, showLabs]].forEach(([group, show]) => {
+            if (!group) return;
+            if (show && !this.map.hasLayer(group)) {
+                group.addTo(this.map);
+            } else if (!show && this.map.hasLayer(group)) {
+                this.map.removeLayer(group);
+            }
+        });
     }
 
     calculateBounds() {
@@ -321,18 +646,358 @@ export default class AllCompaniesMap extends NavigationMixin(LightningElement) {
         return [[minLat, minLng], [maxLat, maxLng]];
     }
 
-    calculateBoundsForMarkers(markers) {
-        if (!markers || markers.length === 0) return null;
+    // ---- Attribute filters ----
 
-        const latitudes = markers.map(m => m.locationData.Latitude);
-        const longitudes = markers.map(m => m.locationData.Longitude);
+    loadFilterDefinitions() {
+        if (!this.filterFields) return;
+        getFilterDefinitions({ filterFields: this.filterFields })
+            .then(data => {
+                this.filterDefinitions = data.map(definition => ({
+                    ...definition,
+                    isChoice: definition.type === 'picklist' || definition.type === 'boolean',
+                    isRange: definition.type === 'date' || definition.type === 'number',
+                    isText: definition.type === 'text',
+                    inputType: definition.type === 'date' ? 'date' : 'number',
+                    comboOptions: [
+                        ANY_OPTION,
+                        ...(definition.type === 'boolean' ? BOOLEAN_OPTIONS : definition.options)
+                    ],
+                    value: '',
+                    minValue: '',
+                    maxValue: ''
+                }));
+            })
+            .catch(error => {
+                console.error('Error loading map filters:', error);
+            });
+    }
 
-        const minLat = Math.min(...latitudes);
-        const maxLat = Math.max(...latitudes);
-        const minLng = Math.min(...longitudes);
-        const maxLng = Math.max(...longitudes);
+    get hasFilters() {
+        return this.filterDefinitions.length > 0;
+    }
 
-        return [[minLat, minLng], [maxLat, maxLng]];
+    // Filters with a value, in the shape of CompanyMapFilters.MapFilter
+    get activeFilters() {
+        return Object.keys(this.filterValues)
+            .map(key => ({ field: key, ...this.filterValues[key] }))
+            .filter(filter => (filter.values && filter.values.length) || filter.minValue || filter.maxValue);
+    }
+
+    get activeFilterCount() {
+        return this.activeFilters.length;
+    }
+
+    get noActiveFilters() {
+        return this.activeFilterCount === 0;
+    }
+
+    get filterButtonLabel() {
+        return this.activeFilterCount > 0 ? `Filters (${this.activeFilterCount})` : 'Filters';
+    }
+
+    toggleFilters() {
+        this.showFilters = !this.showFilters;
+    }
+
+    handleFilterChange(event) {
+        const { key, bound } = event.target.dataset;
+        const value = event.detail.value || '';
+        const current = { ...(this.filterValues[key] || {}) };
+        if (bound === 'min') {
+            current.minValue = value;
+        } else if (bound === 'max') {
+            current.maxValue = value;
+        } else {
+            current.values = value ? [value] : [];
+        }
+        this.filterValues = { ...this.filterValues, [key]: current };
+        this.filterDefinitions = this.filterDefinitions.map(definition => (
+            definition.key === key
+                ? { ...definition, value: current.values?.[0] || '', minValue: current.minValue || '', maxValue: current.maxValue || '' }
+                : definition
+        ));
+        this.scheduleFilterReload();
+    }
+
+    clearFilters() {
+        this.filterValues = {};
+        this.filterDefinitions = this.filterDefinitions.map(definition => ({ ...definition, value: '', minValue: '', maxValue: '' }));
+        this.scheduleFilterReload();
+    }
+
+    // Text and number inputs fire on every keystroke, so reloads wait for a pause
+    scheduleFilterReload() {
+        clearTimeout(this.filterTimeout);
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this.filterTimeout = setTimeout(() => {
+            // Cached tiles were fetched with the old filters
+            this.tileCache.clear();
+            this.loadViewport();
+            if (this.currentSearch) {
+                this.runSearch(this.currentSearch);
+            }
+        }, FILTER_DEBOUNCE_MS);
+    }
+
+    // ---- Radius and polygon search ----
+
+    get isRadiusMode() {
+        return this.searchMode === 'circle';
+    }
+
+    get isPolygonMode() {
+        return this.searchMode === 'polygon';
+    }
+
+    get radiusButtonVariant() {
+        return this.isRadiusMode ? 'brand' : 'neutral';
+    }
+
+    get polygonButtonVariant() {
+        return this.isPolygonMode ? 'brand' : 'neutral';
+    }
+
+    get cannotFinishPolygon() {
+        return this.polygonPoints.length < 3;
+    }
+
+    get minSearchRadius() {
+        return MIN_SEARCH_RADIUS;
+    }
+
+    get maxSearchRadius() {
+        return MAX_SEARCH_RADIUS;
+    }
+
+    get searchHint() {
+        if (this.isRadiusMode) {
+            return 'Click the map or a lab to find locations within the radius.';
+        }
+        return `Click the map to add points (${this.polygonPoints.length} so far), then finish the polygon.`;
+    }
+
+    // Matches in the current Company/Lab view, in server order
+    get visibleSearchResults() {
+        switch (this.selectedView) {
+            case 'companies':
+                return this.searchResults.filter(result => result.Type === 'Company');
+            case 'labs':
+                return this.searchResults.filter(result => result.Type === 'Lab');
+            default:
+                return this.searchResults;
+        }
+    }
+
+    get hasSearchResults() {
+        return this.visibleSearchResults.length > 0;
+    }
+
+    get noSearchResults() {
+        return !this.isSearching && !this.hasSearchResults;
+    }
+
+    // Location types in the current view, as CompanyMapSearch.SearchArea.types
+    get searchTypes() {
+        switch (this.selectedView) {
+            case 'companies':
+                return ['Company'];
+            case 'labs':
+                return ['Lab'];
+            default:
+                return null;
+        }
+    }
+
+    get cannotExport() {
+        return this.isExporting || !this.hasSearchResults;
+    }
+
+    get searchSummary() {
+        const count = this.visibleSearchResults.length;
+        const noun = count === 1 ? 'location' : 'locations';
+        const limit = this.searchTruncated ? ' (search limit reached, some matches are not listed)' : '';
+        if (this.currentSearch && this.currentSearch.shape === 'circle') {
+            return `${count} ${noun} within ${this.currentSearch.radiusMiles} mi of ${this.searchCenterName}${limit}`;
+        }
+        return `${count} ${noun} in the drawn area${limit}`;
+    }
+
+    get searchPanelStyle() {
+        return `max-height: ${this.height}px;`;
+    }
+
+    toggleRadiusMode() {
+        this.setSearchMode(this.isRadiusMode ? null : 'circle');
+    }
+
+    togglePolygonMode() {
+        this.setSearchMode(this.isPolygonMode ? null : 'polygon');
+    }
+
+    cancelSearchMode() {
+        this.setSearchMode(null);
+    }
+
+    setSearchMode(mode) {
+        this.searchMode = mode;
+        this.clearDraft();
+        if (this.map) {
+            // Double clicks would zoom while placing polygon points
+            if (mode === 'polygon') {
+                this.map.doubleClickZoom.disable();
+            } else {
+                this.map.doubleClickZoom.enable();
+            }
+        }
+    }
+
+    handleMapClick(event) {
+        const { lat, lng } = event.latlng;
+        if (this.isRadiusMode) {
+            this.searchAroundPoint(lat, lng, 'the selected point');
+        } else if (this.isPolygonMode) {
+            this.polygonPoints = [...this.polygonPoints, [lat, lng]];
+            if (this.draftLayer) {
+                this.draftLayer.setLatLngs(this.polygonPoints);
+            } else {
+                this.draftLayer = window.L.polyline(this.polygonPoints, {
+                    color: SEARCH_COLOR,
+                    dashArray: '6 6'
+                }).addTo(this.map);
+            }
+        }
+    }
+
+    handleRadiusChange(event) {
+        this.searchRadius = Number(event.detail.value);
+        if (!this.currentSearch || this.currentSearch.shape !== 'circle' || !this.isValidRadius) return;
+        // The input fires on every keystroke, so the search reruns after a pause
+        clearTimeout(this.radiusTimeout);
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this.radiusTimeout = setTimeout(() => {
+            this.searchAroundPoint(this.currentSearch.latitude, this.currentSearch.longitude, this.searchCenterName);
+        }, FILTER_DEBOUNCE_MS);
+    }
+
+    get isValidRadius() {
+        return this.searchRadius >= MIN_SEARCH_RADIUS && this.searchRadius <= MAX_SEARCH_RADIUS;
+    }
+
+    searchAroundPoint(latitude, longitude, centerName) {
+        if (!this.isValidRadius) {
+            this.showToast('Invalid radius', `Enter a radius between ${MIN_SEARCH_RADIUS} and ${MAX_SEARCH_RADIUS} miles.`, 'error');
+            return;
+        }
+        this.searchCenterName = centerName;
+        this.drawSearchLayer(window.L.circle([latitude, longitude], {
+            radius: this.searchRadius * METERS_PER_MILE,
+            color: SEARCH_COLOR,
+            fillOpacity: 0.08
+        }));
+        this.runSearch({ shape: 'circle', latitude, longitude, radiusMiles: this.searchRadius });
+    }
+
+    finishPolygon() {
+        if (this.cannotFinishPolygon) return;
+        const vertices = this.polygonPoints.map(([latitude, longitude]) => ({ latitude, longitude }));
+        this.drawSearchLayer(window.L.polygon(this.polygonPoints, {
+            color: SEARCH_COLOR,
+            fillOpacity: 0.08
+        }));
+        this.setSearchMode(null);
+        this.runSearch({ shape: 'polygon', vertices });
+    }
+
+    drawSearchLayer(layer) {
+        if (this.searchLayer) {
+            this.map.removeLayer(this.searchLayer);
+        }
+        this.searchLayer = layer.addTo(this.map);
+        this.map.fitBounds(layer.getBounds(), { padding: [20, 20] });
+    }
+
+    clearDraft() {
+        if (this.draftLayer && this.map) {
+            this.map.removeLayer(this.draftLayer);
+        }
+        this.draftLayer = null;
+        this.polygonPoints = [];
+    }
+
+    runSearch(search) {
+        this.currentSearch = search;
+        this.showSearchPanel = true;
+        this.isSearching = true;
+        searchArea({ area: { ...search, filters: this.activeFilters } })
+            .then(response => {
+                // A newer search has replaced this one
+                if (this.currentSearch !== search) return;
+                this.searchTruncated = response.Truncated;
+                this.searchResults = response.Matches.map(result => ({
+                    ...result,
+                    key: `${result.Type}:${result.Id}`,
+                    typeLabel: result.Type === 'Company' ? 'Company' : 'Research Lab',
+                    markerClass: result.Type === 'Company' ? 'company-marker' : 'lab-marker',
+                    distanceLabel: result.Distance == null ? '' : `${result.Distance.toFixed(1)} mi`
+                }));
+            })
+            .catch(error => {
+                if (this.currentSearch !== search) return;
+                this.searchResults = [];
+                this.searchTruncated = false;
+                this.showToast('Search failed', error.body?.message || 'Unknown error occurred', 'error');
+            })
+            .finally(() => {
+                if (this.currentSearch === search) {
+                    this.isSearching = false;
+                }
+            });
+    }
+
+    handleResultClick(event) {
+        const { id, type } = event.currentTarget.dataset;
+        this.navigateToRecord(id, type);
+    }
+
+    exportSearch() {
+        if (!this.currentSearch) return;
+        this.isExporting = true;
+        exportSearchResults({
+            area: { ...this.currentSearch, filters: this.activeFilters, types: this.searchTypes }
+        })
+            .then(file => {
+                downloadFile(file);
+                if (file.truncated) {
+                    this.showToast(
+                        'Export incomplete',
+                        `The search limit was reached, so only the first ${file.rowCount} locations were exported. Narrow the area to export the rest.`,
+                        'warning'
+                    );
+                }
+            })
+            .catch(error => {
+                this.showToast('Export failed', error.body?.message || 'Unknown error occurred', 'error');
+            })
+            .finally(() => {
+                this.isExporting = false;
+            });
+    }
+
+    clearSearch() {
+        this.setSearchMode(null);
+        if (this.searchLayer && this.map) {
+            this.map.removeLayer(this.searchLayer);
+        }
+        this.searchLayer = null;
+        this.currentSearch = null;
+        this.searchResults = [];
+        this.searchTruncated = false;
+        this.showSearchPanel = false;
+        this.isSearching = false;
+    }
+
+    showToast(title, message, variant) {
+        this.dispatchEvent(new ShowToastEvent({ title, message, variant }));
     }
 
     navigateToRecord(recordId, recordType) {
@@ -353,7 +1018,16 @@ export default class AllCompaniesMap extends NavigationMixin(LightningElement) {
             this.map.remove();
             this.map = null;
         }
+        clearTimeout(this.moveTimeout);
+        clearTimeout(this.filterTimeout);
+        clearTimeout(this.radiusTimeout);
+        this.draftLayer = null;
+        this.searchLayer = null;
+        this.polygonPoints = [];
         this.markers = [];
+        this.markerCache = new Map();
+        this.companyCluster = null;
+        this.labCluster = null;
     }
 
     disconnectedCallback() {
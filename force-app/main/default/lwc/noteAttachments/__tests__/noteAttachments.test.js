@@ -0,0 +1,118 @@
+import { createElement } from 'lwc';
+import NoteAttachments from 'c/noteAttachments';
+import getAttachments from '@salesforce/apex/NoteAttachmentController.getAttachments';
+import removeAttachment from '@salesforce/apex/NoteAttachmentController.removeAttachment';
+
+jest.mock('@salesforce/apex/NoteAttachmentController.getAttachments', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/NoteAttachmentController.removeAttachment', () => ({ default: jest.fn() }), { virtual: true });
+
+const NOTE_ID = 'a01000000000001AAA';
+
+const SLIDES = { contentDocumentId: '069000000000001AAA', title: 'Kickoff', fileExtension: 'pptx', isImage: false, downloadUrl: '/d/1' };
+const PHOTO = { contentDocumentId: '069000000000002AAA', title: 'Whiteboard', fileExtension: 'jpg', isImage: true, thumbnailUrl: '/t/2', downloadUrl: '/d/2' };
+
+// Creates the component with the count the notes query reported and records its count events
+function createAttachments(props) {
+  const element = createElement('c-note-attachments', { is: NoteAttachments });
+  const counts = jest.fn();
+  element.addEventListener('attachmentcountchange', counts);
+  Object.assign(element, props);
+  document.body.appendChild(element);
+  return { element, counts };
+}
+
+function flushPromises() {
+  let chain = Promise.resolve();
+  for (let i = 0; i < 5; i++) {
+    chain = chain.then(() => undefined);
+  }
+  return chain;
+}
+
+function fileNames(element) {
+  return Array.from(element.shadowRoot.querySelectorAll('.attachment-name')).map(name => name.textContent);
+}
+
+describe('c-note-attachments', () => {
+  afterEach(() => {
+    while (document.body.firstChild) {
+      document.body.removeChild(document.body.firstChild);
+    }
+    jest.clearAllMocks();
+  });
+
+  it('does not call the server for a note without files', async () => {
+    const { element, counts } = createAttachments({ noteId: NOTE_ID, attachmentCount: 0 });
+    await flushPromises();
+
+    expect(getAttachments).not.toHaveBeenCalled();
+    expect(counts).not.toHaveBeenCalled();
+    expect(element.shadowRoot.querySelector('.note-attachments')).toBeNull();
+  });
+
+  it('loads the files and reports how many the note has', async () => {
+    getAttachments.mockResolvedValue([SLIDES, PHOTO]);
+    const { element, counts } = createAttachments({ noteId: NOTE_ID, attachmentCount: 2 });
+    await flushPromises();
+
+    expect(getAttachments).toHaveBeenCalledWith({ noteId: NOTE_ID });
+    expect(fileNames(element)).toEqual(['Kickoff.pptx', 'Whiteboard.jpg']);
+    expect(element.shadowRoot.querySelector('lightning-icon').iconName).toBe('doctype:ppt');
+    expect(element.shadowRoot.querySelector('.attachment-thumbnail').getAttribute('src')).toBe('/t/2');
+    expect(counts).toHaveBeenCalledTimes(1);
+    expect(counts.mock.calls[0][0].detail).toEqual({ noteId: NOTE_ID, count: 2 });
+  });
+
+  it('reports the real count when the notes query was out of date', async () => {
+    getAttachments.mockResolvedValue([SLIDES]);
+    const { counts } = createAttachments({ noteId: NOTE_ID, attachmentCount: 3 });
+    await flushPromises();
+
+    expect(counts.mock.calls[0][0].detail.count).toBe(1);
+  });
+
+  it('reloads and reports the new count after an upload', async () => {
+    getAttachments.mockResolvedValue([SLIDES, PHOTO]);
+    const { element, counts } = createAttachments({ noteId: NOTE_ID, attachmentCount: 0, canEdit: true });
+    const toast = jest.fn();
+    element.addEventListener('lightning__showtoast', toast);
+
+    element.shadowRoot.querySelector('lightning-file-upload')
+      .dispatchEvent(new CustomEvent('uploadfinished', { detail: { files: [SLIDES, PHOTO] } }));
+    await flushPromises();
+
+    expect(toast.mock.calls[0][0].detail.message).toBe('2 files attached.');
+    expect(fileNames(element)).toEqual(['Kickoff.pptx', 'Whiteboard.jpg']);
+    expect(counts.mock.calls[0][0].detail).toEqual({ noteId: NOTE_ID, count: 2 });
+  });
+
+  it('reports zero once the last file is removed', async () => {
+    getAttachments.mockResolvedValueOnce([SLIDES]).mockResolvedValueOnce([]);
+    removeAttachment.mockResolvedValue();
+    const { element, counts } = createAttachments({ noteId: NOTE_ID, attachmentCount: 1, canEdit: true });
+    await flushPromises();
+
+    element.shadowRoot.querySelector('.attachment-remove').click();
+    await flushPromises();
+
+    expect(removeAttachment).toHaveBeenCalledWith({ noteId: NOTE_ID, contentDocumentId: SLIDES.contentDocumentId });
+    expect(fileNames(element)).toEqual([]);
+    expect(counts.mock.calls.map(call => call[0].detail.count)).toEqual([1, 0]);
+  });
+
+  it('keeps the file and shows a toast when it cannot be removed', async () => {
+    getAttachments.mockResolvedValue([SLIDES]);
+    removeAttachment.mockRejectedValue({ body: { message: 'Only the note owner can remove files.' } });
+    const { element, counts } = createAttachments({ noteId: NOTE_ID, attachmentCount: 1, canEdit: true });
+    const toast = jest.fn();
+    element.addEventListener('lightning__showtoast', toast);
+    await flushPromises();
+
+    element.shadowRoot.querySelector('.attachment-remove').click();
+    await flushPromises();
+
+    expect(fileNames(element)).toEqual(['Kickoff.pptx']);
+    expect(counts).toHaveBeenCalledTimes(1);
+    expect(toast.mock.calls[0][0].detail.message).toBe('Only the note owner can remove files.');
+  });
+});
@@ -0,0 +1,112 @@
+import { LightningElement, api } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import getAttachments from '@salesforce/apex/NoteAttachmentController.getAttachments';
+import removeAttachment from '@salesforce/apex/NoteAttachmentController.removeAttachment';
+
+const ACCEPTED_FORMATS = ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.heic', '.pdf', '.ppt', '.pptx', '.key', '.doc', '.docx', '.xls', '.xlsx'];
+
+const DOCTYPE_ICONS = {
+  pdf: 'doctype:pdf',
+  ppt: 'doctype:ppt',
+  pptx: 'doctype:ppt',
+  key: 'doctype:keynote',
+  doc: 'doctype:word',
+  docx: 'doctype:word',
+  xls: 'doctype:excel',
+  xlsx: 'doctype:excel',
+  csv: 'doctype:csv',
+  txt: 'doctype:txt'
+};
+
+// Files attached to a sticky note (slides, whiteboard photos, PDFs), shown as
+// thumbnails. Files are uploaded straight onto the note with lightning-file-upload;
+// owners and moderators (canEdit) can upload and remove them. Fires
+// "attachmentcountchange" so the parent knows whether the note has files.
+export default class NoteAttachments extends LightningElement {
+  @api canEdit = false;
+
+  attachments = [];
+  loading = false;
+  acceptedFormats = ACCEPTED_FORMATS;
+
+  _noteId;
+  _attachmentCount = 0;
+
+  @api
+  get noteId() {
+    return this._noteId;
+  }
+  set noteId(val) {
+    this._noteId = val;
+    this.loadIfNeeded();
+  }
+
+  // Count from the notes query; avoids a server call for notes without files
+  @api
+  get attachmentCount() {
+    return this._attachmentCount;
+  }
+  set attachmentCount(val) {
+    this._attachmentCount = val || 0;
+    this.loadIfNeeded();
+  }
+
+  get hasAttachments() {
+    return this.attachments.length > 0;
+  }
+
+  get isVisible() {
+    return this.canEdit || this.hasAttachments;
+  }
+
+  loadIfNeeded() {
+    if (this._noteId && this._attachmentCount > 0 && this._attachmentCount !== this.attachments.length) {
+      this.loadAttachments();
+    }
+  }
+
+  loadAttachments() {
+    this.loading = true;
+    return getAttachments({ noteId: this._noteId })
+      .then(data => {
+        this.attachments = data.map(file => ({
+          ...file,
+          label: file.fileExtension ? `${file.title}.${file.fileExtension}` : file.title,
+          iconName: DOCTYPE_ICONS[(file.fileExtension || '').toLowerCase()] || 'doctype:attachment'
+        }));
+        this._attachmentCount = this.attachments.length;
+        this.dispatchEvent(new CustomEvent('attachmentcountchange', {
+          detail: { noteId: this._noteId, count: this.attachments.length }
+        }));
+      })
+      .catch(error => {
+        console.error('Error loading attachments:', error);
+      })
+      .finally(() => {
+        this.loading = false;
+      });
+  }
+
+  handleUploadFinished(event) {
+    const count = event.detail.files.length;
+    this.dispatchEvent(new ShowToastEvent({
+      title: 'Success',
+      message: count === 1 ? 'File attached.' : `${count} files attached.`,
+      variant: 'success'
+    }));
+    this.loadAttachments();
+  }
+
+  handleRemove(event) {
+    const contentDocumentId = event.currentTarget.dataset.id;
+    removeAttachment({ noteId: this._noteId, contentDocumentId })
+      .then(() => this.loadAttachments())
+      .catch(error => {
+        this.dispatchEvent(new ShowToastEvent({
+          title: 'Error',
+          message: error.body?.message || 'Failed to remove attachment.',
+          variant: 'error'
+        }));
+      });
+  }
+}
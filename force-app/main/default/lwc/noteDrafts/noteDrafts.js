@@ -0,0 +1,58 @@
+/**
+ * Local-storage persistence for unsaved note text, one entry per user and record.
+ * Drafts are keyed by NEW_NOTE for the "Add Note" editor or by Note Id for an
+ * edit in progress. Storage failures (private browsing, quota) are swallowed so
+ * the notepad keeps working without drafts.
+ */
+export const NEW_NOTE = 'new';
+
+const PREFIX = 'notepad-drafts';
+
+function storageKey(userId, recordId) {
+  return `${PREFIX}:${userId}:${recordId}`;
+}
+
+/**
+ * @returns {Object} map of draft key -> { text, savedAt }
+ */
+export function readDrafts(userId, recordId) {
+  try {
+    const raw = window.localStorage.getItem(storageKey(userId, recordId));
+    return raw ? JSON.parse(raw) : {};
+  } catch (e) {
+    console.warn('Unable to read note drafts', e);
+    return {};
+  }
+}
+
+function writeDrafts(userId, recordId, drafts) {
+  try {
+    const key = storageKey(userId, recordId);
+    if (Object.keys(drafts).length === 0) {
+      window.localStorage.removeItem(key);
+    } else {
+      window.localStorage.setItem(key, JSON.stringify(drafts));
+    }
+  } catch (e) {
+    console.warn('Unable to save note drafts', e);
+  }
+}
+
+/** Saves (or, for blank text, removes) one draft. */
+export function saveDraft(userId, recordId, draftKey, text) {
+  const drafts = readDrafts(userId, recordId);
+  if (text) {
+    drafts[draftKey] = { text, savedAt: new Date().toISOString() };
+  } else {
+    delete drafts[draftKey];
+  }
+  writeDrafts(userId, recordId, drafts);
+}
+
+export function clearDraft(userId, recordId, draftKey) {
+  const drafts = readDrafts(userId, recordId);
+  if (drafts[draftKey]) {
+    delete drafts[draftKey];
+    writeDrafts(userId, recordId, drafts);
+  }
+}
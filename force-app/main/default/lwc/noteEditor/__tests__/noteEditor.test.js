@@ -0,0 +1,100 @@
+import { createElement } from 'lwc';
+import NoteEditor from 'c/noteEditor';
+import { getRecord } from 'lightning/uiRecordApi';
+
+const ANA = { fields: { Name: { value: 'Ana Núñez' } } };
+const ANA_ID = '005000000000001AAA';
+
+function createEditor(props = {}) {
+  const element = createElement('c-note-editor', { is: NoteEditor });
+  Object.assign(element, props);
+  document.body.appendChild(element);
+  return element;
+}
+
+// Picks a user in the record picker, then answers the getRecord lookup for their name
+async function mention(element, userId, record) {
+  const picker = element.shadowRoot.querySelector('lightning-record-picker');
+  picker.dispatchEvent(new CustomEvent('change', { detail: { recordId: userId } }));
+  await Promise.resolve();
+  getRecord.emit(record);
+  await Promise.resolve();
+}
+
+describe('c-note-editor', () => {
+  afterEach(() => {
+    while (document.body.firstChild) {
+      document.body.removeChild(document.body.firstChild);
+    }
+    jest.clearAllMocks();
+  });
+
+  it('reports typed text with the note id', async () => {
+    const element = createEditor({ noteId: 'a01000000000001AAA' });
+    const handler = jest.fn();
+    element.addEventListener('change', handler);
+
+    const editor = element.shadowRoot.querySelector('lightning-input-rich-text');
+    editor.value = '<p>Call back</p>';
+    editor.dispatchEvent(new CustomEvent('change'));
+    await Promise.resolve();
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler.mock.calls[0][0].detail).toEqual({
+      value: '<p>Call back</p>',
+      noteId: 'a01000000000001AAA',
+      mentionedUserIds: []
+    });
+  });
+
+  it('keeps the picked user id with the mention', async () => {
+    const element = createEditor({ value: '<p>Ask </p>' });
+    const handler = jest.fn();
+    element.addEventListener('change', handler);
+    const editor = element.shadowRoot.querySelector('lightning-input-rich-text');
+    const insert = jest.spyOn(editor, 'insertTextAtCursor');
+
+    await mention(element, ANA_ID, ANA);
+
+    expect(insert).toHaveBeenCalledWith('@Ana Núñez ');
+    expect(element.mentionedUserIds).toEqual([ANA_ID]);
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler.mock.calls[0][0].detail.mentionedUserIds).toEqual([ANA_ID]);
+  });
+
+  it('lists a user picked twice once', async () => {
+    const element = createEditor({ value: '<p>Ask </p>' });
+
+    await mention(element, ANA_ID, ANA);
+    await mention(element, ANA_ID, ANA);
+
+    expect(element.mentionedUserIds).toEqual([ANA_ID]);
+  });
+
+  it('forgets mentions once the text is cleared after a save', async () => {
+    const element = createEditor({ value: '<p>Ask </p>' });
+    await mention(element, ANA_ID, ANA);
+
+    element.value = '';
+
+    expect(element.mentionedUserIds).toEqual([]);
+  });
+
+  it('clears the picker when the user cannot be loaded', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const element = createEditor();
+    const handler = jest.fn();
+    element.addEventListener('change', handler);
+    const picker = element.shadowRoot.querySelector('lightning-record-picker');
+    picker.dispatchEvent(new CustomEvent('change', { detail: { recordId: ANA_ID } }));
+    await Promise.resolve();
+
+    getRecord.error();
+    await Promise.resolve();
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(element.mentionedUserIds).toEqual([]);
+    expect(consoleError).toHaveBeenCalled();
+    consoleError.mockRestore();
+  });
+});
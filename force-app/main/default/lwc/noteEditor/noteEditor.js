@@ -0,0 +1,79 @@
+import { LightningElement, api, wire } from 'lwc';
+import { getRecord, getFieldValue } from 'lightning/uiRecordApi';
+import USER_NAME_FIELD from '@salesforce/schema/User.Name';
+
+// Rich-text editor for sticky notes with an "@mention a colleague" picker.
+// Mentions are inserted as plain "@First Last" text, and the picked users' Ids
+// are kept in mentionedUserIds so NoteMentionResolver does not have to guess
+// the user from the name when the note is saved.
+export default class NoteEditor extends LightningElement {
+  @api label = 'Note Text';
+  @api noteId;
+
+  formats = ['bold', 'italic', 'underline', 'strike', 'list', 'indent', 'link', 'clean'];
+
+  mentionUserId;
+  _value = '';
+  _mentionedUserIds = [];
+
+  @api
+  get value() {
+    return this._value;
+  }
+  set value(val) {
+    this._value = val || '';
+    // Cleared after a save; the next note starts without mentions
+    if (!this._value) {
+      this._mentionedUserIds = [];
+    }
+  }
+
+  // Users picked in the mention picker, to pass to Apex with the text
+  @api
+  get mentionedUserIds() {
+    return this._mentionedUserIds;
+  }
+
+  @wire(getRecord, { recordId: '$mentionUserId', fields: [USER_NAME_FIELD] })
+  wiredMentionUser({ data, error }) {
+    if (data) {
+      const name = getFieldValue(data, USER_NAME_FIELD);
+      const editor = this.template.querySelector('lightning-input-rich-text');
+      if (editor && name) {
+        editor.insertTextAtCursor(`@${name} `);
+        if (!this._mentionedUserIds.includes(this.mentionUserId)) {
+          this._mentionedUserIds = [...this._mentionedUserIds, this.mentionUserId];
+        }
+        this._value = editor.value;
+        this.dispatchChange();
+      }
+      this.resetMentionPicker();
+    } else if (error) {
+      console.error('Error loading mentioned user:', error);
+      this.resetMentionPicker();
+    }
+  }
+
+  handleTextChange(event) {
+    this._value = event.target.value;
+    this.dispatchChange();
+  }
+
+  handleMentionSelect(event) {
+    this.mentionUserId = event.detail.recordId || undefined;
+  }
+
+  resetMentionPicker() {
+    this.mentionUserId = undefined;
+    const picker = this.template.querySelector('lightning-record-picker');
+    if (picker) {
+      picker.clearSelection();
+    }
+  }
+
+  dispatchChange() {
+    this.dispatchEvent(new CustomEvent('change', {
+      detail: { value: this._value, noteId: this.noteId, mentionedUserIds: this._mentionedUserIds }
+    }));
+  }
+}
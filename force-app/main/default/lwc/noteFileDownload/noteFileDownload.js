@@ -0,0 +1,18 @@
+/**
+ * Saves an export built by NoteExportController to the user's machine.
+ * Locker/LWS allows data: URIs on anchors, so no Blob or ContentVersion is needed.
+ *
+ * @param {Object} file - { fileName, mimeType, content } as returned from Apex
+ */
+export function downloadFile(file) {
+  if (!file || !file.content) {
+    return;
+  }
+  const link = document.createElement('a');
+  link.href = `data:${file.mimeType};charset=utf-8,${encodeURIComponent(file.content)}`;
+  link.download = file.fileName;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+}
@@ -0,0 +1,69 @@
+import { LightningElement, api } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import getNoteHistory from '@salesforce/apex/NoteHistoryController.getNoteHistory';
+import restoreVersion from '@salesforce/apex/NoteHistoryController.restoreVersion';
+
+// Lists a note's earlier versions (who changed what, and when) and lets the
+// owner or a moderator restore one. Fires "restore" so the parent can reload.
+export default class NoteHistory extends LightningElement {
+  @api canRestore = false;
+
+  versions = [];
+  loading = false;
+
+  _noteId;
+
+  @api
+  get noteId() {
+    return this._noteId;
+  }
+  set noteId(val) {
+    this._noteId = val;
+    if (val) {
+      this.loadHistory();
+    }
+  }
+
+  get hasVersions() {
+    return this.versions.length > 0;
+  }
+
+  @api
+  loadHistory() {
+    this.loading = true;
+    return getNoteHistory({ noteId: this._noteId })
+      .then(data => {
+        this.versions = data.map(version => ({
+          ...version,
+          changedBy: version.CreatedBy?.Name || 'Unknown User'
+        }));
+      })
+      .catch(error => {
+        console.error('Error loading note history:', error);
+      })
+      .finally(() => {
+        this.loading = false;
+      });
+  }
+
+  handleRestore(event) {
+    const versionId = event.currentTarget.dataset.id;
+    restoreVersion({ versionId })
+      .then(() => {
+        this.dispatchEvent(new ShowToastEvent({
+          title: 'Note Restored',
+          message: 'The earlier version has been restored.',
+          variant: 'success'
+        }));
+        this.dispatchEvent(new CustomEvent('restore', { detail: { noteId: this._noteId } }));
+        return this.loadHistory();
+      })
+      .catch(error => {
+        this.dispatchEvent(new ShowToastEvent({
+          title: 'Error',
+          message: error.body?.message || 'Failed to restore note.',
+          variant: 'error'
+        }));
+      });
+  }
+}
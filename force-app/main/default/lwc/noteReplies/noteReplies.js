@@ -0,0 +1,97 @@
+import { LightningElement, api } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import USER_ID from '@salesforce/user/Id';
+import CAN_MODERATE from '@salesforce/customPermission/Moderate_Public_Notes';
+import getReplies from '@salesforce/apex/NoteReplyController.getReplies';
+import addReply from '@salesforce/apex/NoteReplyController.addReply';
+import deleteReply from '@salesforce/apex/NoteReplyController.deleteReply';
+
+// Reply thread under a public note. Anyone who can see the note can reply;
+// authors (and moderators) can delete replies. Fires "replycountchange" so the
+// parent can update its "Replies (n)" label.
+export default class NoteReplies extends LightningElement {
+  replies = [];
+  replyText = '';
+  loading = false;
+  posting = false;
+
+  _noteId;
+
+  @api
+  get noteId() {
+    return this._noteId;
+  }
+  set noteId(val) {
+    this._noteId = val;
+    if (val) {
+      this.loadReplies();
+    }
+  }
+
+  get hasReplies() {
+    return this.replies.length > 0;
+  }
+
+  get postDisabled() {
+    return this.posting || !this.replyText.trim();
+  }
+
+  loadReplies() {
+    this.loading = true;
+    return getReplies({ noteId: this._noteId })
+      .then(data => {
+        this.replies = data.map(reply => ({
+          ...reply,
+          authorName: reply.CreatedBy?.Name || 'Unknown User',
+          authorPhotoUrl: reply.CreatedBy?.SmallBannerPhotoUrl || reply.CreatedBy?.SmallPhotoUrl || '',
+          canDelete: reply.CreatedById === USER_ID || CAN_MODERATE === true
+        }));
+        this.dispatchEvent(new CustomEvent('replycountchange', {
+          detail: { noteId: this._noteId, count: this.replies.length }
+        }));
+      })
+      .catch(error => {
+        console.error('Error loading replies:', error);
+      })
+      .finally(() => {
+        this.loading = false;
+      });
+  }
+
+  handleReplyChange(event) {
+    this.replyText = event.target.value;
+  }
+
+  postReply() {
+    if (this.postDisabled) return;
+    this.posting = true;
+    addReply({ noteId: this._noteId, text: this.replyText })
+      .then(() => {
+        this.replyText = '';
+        return this.loadReplies();
+      })
+      .catch(error => {
+        this.dispatchEvent(new ShowToastEvent({
+          title: 'Error',
+          message: error.body?.message || 'Failed to post reply.',
+          variant: 'error'
+        }));
+      })
+      .finally(() => {
+        this.posting = false;
+      });
+  }
+
+  handleDeleteReply(event) {
+    const replyId = event.currentTarget.dataset.id;
+    deleteReply({ replyId })
+      .then(() => this.loadReplies())
+      .catch(error => {
+        this.dispatchEvent(new ShowToastEvent({
+          title: 'Error',
+          message: error.body?.message || 'Failed to delete reply.',
+          variant: 'error'
+        }));
+      });
+  }
+}
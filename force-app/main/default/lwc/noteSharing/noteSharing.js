@@ -0,0 +1,132 @@
+import { LightningElement, api } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import getNoteShares from '@salesforce/apex/NoteShareController.getNoteShares';
+import searchSharePrincipals from '@salesforce/apex/NoteShareController.searchSharePrincipals';
+import addNoteShare from '@salesforce/apex/NoteShareController.addNoteShare';
+import removeNoteShare from '@salesforce/apex/NoteShareController.removeNoteShare';
+
+const SEARCH_DELAY = 300;
+
+// Lets a note's owner share it with specific users, public groups or roles.
+// Shares are stored as Note_Share__c rows by NoteShareController.
+export default class NoteSharing extends LightningElement {
+  shares = [];
+  results = [];
+  shareType = 'User';
+  searchTerm = '';
+
+  shareTypeOptions = [
+    { label: 'User', value: 'User' },
+    { label: 'Public Group', value: 'Group' },
+    { label: 'Role', value: 'Role' }
+  ];
+
+  _noteId;
+  _searchTimeout;
+  _searchRequest = 0; // only the latest type-ahead search may fill the results
+
+  @api
+  get noteId() {
+    return this._noteId;
+  }
+  set noteId(val) {
+    this._noteId = val;
+    if (val) {
+      this.loadShares();
+    }
+  }
+
+  get hasShares() {
+    return this.shares.length > 0;
+  }
+
+  get hasResults() {
+    return this.results.length > 0;
+  }
+
+  get searchPlaceholder() {
+    const option = this.shareTypeOptions.find(o => o.value === this.shareType);
+    return `Search ${option.label.toLowerCase()}s...`;
+  }
+
+  disconnectedCallback() {
+    clearTimeout(this._searchTimeout);
+  }
+
+  loadShares() {
+    return getNoteShares({ noteId: this._noteId })
+      .then(data => {
+        this.shares = data.map(share => ({
+          ...share,
+          label: `${share.Shared_With_Name__c} (${share.Share_Type__c})`
+        }));
+      })
+      .catch(error => {
+        console.error('Error loading note shares:', error);
+      });
+  }
+
+  handleShareTypeChange(event) {
+    this.shareType = event.detail.value;
+    this.results = [];
+    this.runSearch();
+  }
+
+  handleSearchChange(event) {
+    this.searchTerm = event.target.value;
+    clearTimeout(this._searchTimeout);
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    this._searchTimeout = setTimeout(() => this.runSearch(), SEARCH_DELAY);
+  }
+
+  // Searches once the user pauses typing; answers to earlier searches that arrive
+  // late are dropped
+  runSearch() {
+    clearTimeout(this._searchTimeout);
+    const request = ++this._searchRequest;
+    if (!this.searchTerm || this.searchTerm.trim().length < 2) {
+      this.results = [];
+      return;
+    }
+    searchSharePrincipals({ shareType: this.shareType, searchTerm: this.searchTerm })
+      .then(data => {
+        if (request !== this._searchRequest) return;
+        this.results = data;
+      })
+      .catch(error => {
+        if (request !== this._searchRequest) return;
+        console.error('Error searching share recipients:', error);
+        this.results = [];
+      });
+  }
+
+  handleAddShare(event) {
+    const principalId = event.currentTarget.dataset.id;
+    addNoteShare({ noteId: this._noteId, shareType: this.shareType, principalId })
+      .then(() => {
+        this.searchTerm = '';
+        this.runSearch();   // clears the results
+        return this.loadShares();
+      })
+      .catch(error => {
+        this.dispatchEvent(new ShowToastEvent({
+          title: 'Error sharing note',
+          message: error.body?.message || 'Unknown error',
+          variant: 'error'
+        }));
+      });
+  }
+
+  handleRemoveShare(event) {
+    const shareId = event.detail.name;
+    removeNoteShare({ shareId })
+      .then(() => this.loadShares())
+      .catch(error => {
+        this.dispatchEvent(new ShowToastEvent({
+          title: 'Error removing share',
+          message: error.body?.message || 'Unknown error',
+          variant: 'error'
+        }));
+      });
+  }
+}
@@ -0,0 +1,117 @@
+import { createElement } from 'lwc';
+import NoteTags from 'c/noteTags';
+import updateNoteTags from '@salesforce/apex/NoteController.updateNoteTags';
+
+jest.mock('@salesforce/apex/NoteController.updateNoteTags', () => ({ default: jest.fn() }), { virtual: true });
+
+const NOTE_ID = 'a01000000000001AAA';
+
+function createTags(props = {}) {
+  const element = createElement('c-note-tags', { is: NoteTags });
+  Object.assign(element, { noteId: NOTE_ID }, props);
+  document.body.appendChild(element);
+  return element;
+}
+
+function flushPromises() {
+  let chain = Promise.resolve();
+  for (let i = 0; i < 5; i++) {
+    chain = chain.then(() => undefined);
+  }
+  return chain;
+}
+
+function pillLabels(element) {
+  return Array.from(element.shadowRoot.querySelectorAll('lightning-pill')).map(pill => pill.label);
+}
+
+// Types a tag into the "Add tag" input and presses Enter
+async function typeTag(element, tag) {
+  const input = element.shadowRoot.querySelector('lightning-input');
+  input.value = tag;
+  input.dispatchEvent(new CustomEvent('change'));
+  input.dispatchEvent(new KeyboardEvent('keyup', { key: 'Enter' }));
+  await flushPromises();
+}
+
+describe('c-note-tags', () => {
+  afterEach(() => {
+    while (document.body.firstChild) {
+      document.body.removeChild(document.body.firstChild);
+    }
+    jest.clearAllMocks();
+  });
+
+  it('shows stored tags as read-only badges', () => {
+    const element = createTags({ tags: 'SBIR;Follow up;' });
+
+    const badges = Array.from(element.shadowRoot.querySelectorAll('.note-tag')).map(badge => badge.textContent);
+    expect(badges).toEqual(['#SBIR', '#Follow up']);
+    expect(element.shadowRoot.querySelector('lightning-input')).toBeNull();
+  });
+
+  it('renders nothing without tags', () => {
+    const element = createTags();
+
+    expect(element.shadowRoot.querySelector('.note-tags')).toBeNull();
+  });
+
+  it('fires tagselect when a selectable tag is clicked', () => {
+    const element = createTags({ tags: 'SBIR', selectable: true });
+    const handler = jest.fn();
+    element.addEventListener('tagselect', handler);
+
+    element.shadowRoot.querySelector('.note-tag_selectable').click();
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler.mock.calls[0][0].detail).toEqual({ tag: 'SBIR' });
+  });
+
+  it('saves an added tag and shows the stored value', async () => {
+    updateNoteTags.mockResolvedValue('SBIR;Grant');
+    const element = createTags({ tags: 'SBIR', editable: true });
+    const handler = jest.fn();
+    element.addEventListener('tagschange', handler);
+
+    await typeTag(element, '  Grant ');
+
+    expect(updateNoteTags).toHaveBeenCalledWith({ noteId: NOTE_ID, tags: ['SBIR', 'Grant'] });
+    expect(pillLabels(element)).toEqual(['SBIR', 'Grant']);
+    expect(handler.mock.calls[0][0].detail).toEqual({ noteId: NOTE_ID, tags: 'SBIR;Grant' });
+    expect(element.shadowRoot.querySelector('lightning-input').value).toBe('');
+  });
+
+  it('does not save a blank tag', async () => {
+    const element = createTags({ editable: true });
+
+    await typeTag(element, '   ');
+
+    expect(updateNoteTags).not.toHaveBeenCalled();
+  });
+
+  it('saves the remaining tags when a pill is removed', async () => {
+    updateNoteTags.mockResolvedValue('Grant');
+    const element = createTags({ tags: 'SBIR;Grant', editable: true });
+
+    element.shadowRoot.querySelector('lightning-pill').dispatchEvent(new CustomEvent('remove', { detail: { name: 'SBIR' } }));
+    await flushPromises();
+
+    expect(updateNoteTags).toHaveBeenCalledWith({ noteId: NOTE_ID, tags: ['Grant'] });
+    expect(pillLabels(element)).toEqual(['Grant']);
+  });
+
+  it('keeps the tags and shows a toast when the save fails', async () => {
+    updateNoteTags.mockRejectedValue({ body: { message: 'A note can have at most 10 tags.' } });
+    const element = createTags({ tags: 'SBIR', editable: true });
+    const changed = jest.fn();
+    const toast = jest.fn();
+    element.addEventListener('tagschange', changed);
+    element.addEventListener('lightning__showtoast', toast);
+
+    await typeTag(element, 'Grant');
+
+    expect(pillLabels(element)).toEqual(['SBIR']);
+    expect(changed).not.toHaveBeenCalled();
+    expect(toast.mock.calls[0][0].detail.message).toBe('A note can have at most 10 tags.');
+  });
+});
@@ -0,0 +1,91 @@
+import { LightningElement, api } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import updateNoteTags from '@salesforce/apex/NoteController.updateNoteTags';
+
+const SEPARATOR = ';';
+
+// Tags on a sticky note. Read-only pills by default; with `editable` the owner can
+// add and remove tags (saved straight away through NoteController.updateNoteTags).
+// Fires `tagschange` with the stored value after a save, and `tagselect` when a
+// read-only tag is clicked and `selectable` is set.
+export default class NoteTags extends LightningElement {
+  @api noteId;
+  @api editable = false;
+  @api selectable = false;
+
+  newTag = '';
+  saving = false;
+
+  _tags = [];
+
+  @api
+  get tags() {
+    return this._tags.join(SEPARATOR);
+  }
+  set tags(val) {
+    this._tags = this.splitTags(val);
+  }
+
+  splitTags(val) {
+    return val ? val.split(SEPARATOR).filter(t => t) : [];
+  }
+
+  get hasTags() {
+    return this._tags.length > 0;
+  }
+
+  get tagItems() {
+    return this._tags.map(tag => ({ key: tag.toLowerCase(), label: tag }));
+  }
+
+  get addDisabled() {
+    return this.saving || !this.newTag.trim();
+  }
+
+  handleNewTagChange(event) {
+    this.newTag = event.target.value;
+  }
+
+  handleNewTagKeyUp(event) {
+    if (event.key === 'Enter') {
+      this.addTag();
+    }
+  }
+
+  addTag() {
+    const tag = this.newTag.trim();
+    if (!tag) return;
+    this.save([...this._tags, tag]).then(() => {
+      this.newTag = '';
+    });
+  }
+
+  handleRemoveTag(event) {
+    const removed = event.detail.name;
+    this.save(this._tags.filter(tag => tag !== removed));
+  }
+
+  handleSelectTag(event) {
+    event.stopPropagation();
+    this.dispatchEvent(new CustomEvent('tagselect', { detail: { tag: event.currentTarget.dataset.tag } }));
+  }
+
+  save(tags) {
+    this.saving = true;
+    return updateNoteTags({ noteId: this.noteId, tags })
+      .then(stored => {
+        this._tags = this.splitTags(stored);
+        this.dispatchEvent(new CustomEvent('tagschange', { detail: { noteId: this.noteId, tags: stored } }));
+      })
+      .catch(error => {
+        this.dispatchEvent(new ShowToastEvent({
+          title: 'Error saving tags',
+          message: error.body?.message || 'Unknown error',
+          variant: 'error'
+        }));
+      })
+      .finally(() => {
+        this.saving = false;
+      });
+  }
+}
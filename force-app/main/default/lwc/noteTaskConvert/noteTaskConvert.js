@@ -0,0 +1,84 @@
+import { LightningElement, api } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { NavigationMixin } from 'lightning/navigation';
+import convertNoteToTask from '@salesforce/apex/NoteTaskController.convertNoteToTask';
+import getTaskForNote from '@salesforce/apex/NoteTaskController.getTaskForNote';
+
+// "Convert to Task" action for a sticky note. Once converted it links to the Task
+// instead; NoteTaskSync keeps completion in step between the two.
+export default class NoteTaskConvert extends NavigationMixin(LightningElement) {
+  task;
+  isConverting = false;
+  workflowId = null;
+
+  _noteId;
+
+  @api
+  get noteId() {
+    return this._noteId;
+  }
+  set noteId(val) {
+    this._noteId = val;
+    if (val) {
+      this.loadTask();
+    }
+  }
+
+  get taskLabel() {
+    return `Task: ${this.task.Status}`;
+  }
+
+  loadTask() {
+    return getTaskForNote({ noteId: this._noteId })
+      .then(task => {
+        this.task = task;
+      })
+      .catch(error => {
+        console.error('Error loading task for note:', error);
+      });
+  }
+
+  startConvert() {
+    this.isConverting = true;
+  }
+
+  cancelConvert() {
+    this.isConverting = false;
+    this.workflowId = null;
+  }
+
+  handleWorkflowChange(event) {
+    this.workflowId = event.detail.recordId || null;
+  }
+
+  convert() {
+    convertNoteToTask({ noteId: this._noteId, workflowId: this.workflowId })
+      .then(() => {
+        this.dispatchEvent(new ShowToastEvent({
+          title: 'Task Created',
+          message: 'This note is now tracked as a task.',
+          variant: 'success'
+        }));
+        this.cancelConvert();
+        return this.loadTask();
+      })
+      .catch(error => {
+        this.dispatchEvent(new ShowToastEvent({
+          title: 'Error',
+          message: error.body?.message || 'Failed to create task.',
+          variant: 'error'
+        }));
+      });
+  }
+
+  openTask() {
+    this[NavigationMixin.Navigate]({
+      type: 'standard__recordPage',
+      attributes: {
+        recordId: this.task.Id,
+        objectApiName: 'Task',
+        actionName: 'view'
+      }
+    });
+  }
+}
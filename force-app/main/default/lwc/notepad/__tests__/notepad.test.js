@@ -0,0 +1,157 @@
+import { createElement } from 'lwc';
+import Notepad from 'c/notepad';
+import { refreshApex } from '@salesforce/apex';
+import getNotesForRecord from '@salesforce/apex/NoteController.getNotesForRecord';
+import setNotePinned from '@salesforce/apex/NoteController.setNotePinned';
+import reorderNotes from '@salesforce/apex/NoteController.reorderNotes';
+import getNoteReminderStates from '@salesforce/apex/NoteReminderController.getNoteReminderStates';
+
+jest.mock('@salesforce/apex', () => ({ refreshApex: jest.fn(() => Promise.resolve()) }), { virtual: true });
+jest.mock(
+  '@salesforce/apex/NoteController.getNotesForRecord',
+  () => {
+    const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+    return { default: createApexTestWireAdapter(jest.fn()) };
+  },
+  { virtual: true }
+);
+jest.mock('@salesforce/apex/NoteController.setNotePinned', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/NoteController.reorderNotes', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/NoteReminderController.getNoteReminderStates', () => ({ default: jest.fn() }), { virtual: true });
+
+const RECORD_ID = '001000000000001AAA';
+const USER_ID = '005000000000000000';   // the jest stub for @salesforce/user/Id
+
+function note(id, text, pinned = false) {
+  return { Id: id, Note_Text__c: text, OwnerId: USER_ID, Pinned__c: pinned, CreatedDate: '2026-10-01T09:00:00.000Z' };
+}
+
+// Server order: pinned notes first, then the saved drag order
+const PINNED = note('a01000000000001AAA', 'Pinned call list', true);
+const FIRST = note('a01000000000002AAA', 'First');
+const SECOND = note('a01000000000003AAA', 'Second');
+const THIRD = note('a01000000000004AAA', 'Third');
+
+function flushPromises() {
+  let chain = Promise.resolve();
+  for (let i = 0; i < 5; i++) {
+    chain = chain.then(() => undefined);
+  }
+  return chain;
+}
+
+async function createNotepad() {
+  const element = createElement('c-notepad', { is: Notepad });
+  element.recordId = RECORD_ID;
+  element.objectApiName = 'Company__c';
+  document.body.appendChild(element);
+  getNotesForRecord.emit([PINNED, FIRST, SECOND, THIRD]);
+  await flushPromises();
+  return element;
+}
+
+function renderedIds(element) {
+  return Array.from(element.shadowRoot.querySelectorAll('.NoteContainer > div[data-id]')).map((div) => div.dataset.id);
+}
+
+function card(element, noteId) {
+  return element.shadowRoot.querySelector(`.NoteContainer > div[data-id="${noteId}"]`);
+}
+
+function dragEvent(type) {
+  const event = new CustomEvent(type, { cancelable: true });
+  event.dataTransfer = { setData: jest.fn() };
+  return event;
+}
+
+// Drags a note by its handle onto another card; returns the dragover event
+async function dragNote(element, fromId, toId) {
+  element.shadowRoot.querySelector(`.drag-handle[data-id="${fromId}"]`).dispatchEvent(dragEvent('dragstart'));
+  const over = dragEvent('dragover');
+  card(element, toId).dispatchEvent(over);
+  card(element, toId).dispatchEvent(dragEvent('drop'));
+  await flushPromises();
+  return over;
+}
+
+describe('c-notepad pin and reorder', () => {
+  beforeEach(() => {
+    setNotePinned.mockResolvedValue();
+    reorderNotes.mockResolvedValue();
+    getNoteReminderStates.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    while (document.body.firstChild) {
+      document.body.removeChild(document.body.firstChild);
+    }
+    jest.clearAllMocks();
+  });
+
+  it('shows a badge instead of a drag handle on pinned notes', async () => {
+    const element = await createNotepad();
+
+    expect(card(element, PINNED.Id).querySelector('.pinned-badge')).not.toBeNull();
+    expect(card(element, PINNED.Id).querySelector('.drag-handle')).toBeNull();
+    expect(card(element, FIRST.Id).querySelector('.pinned-badge')).toBeNull();
+    expect(card(element, FIRST.Id).querySelector('.drag-handle')).not.toBeNull();
+  });
+
+  it('pins an unpinned note and reloads the notes', async () => {
+    const element = await createNotepad();
+
+    card(element, SECOND.Id).querySelector('.pin-button').click();
+    await flushPromises();
+
+    expect(setNotePinned).toHaveBeenCalledWith({ noteId: SECOND.Id, pinned: true });
+    expect(refreshApex).toHaveBeenCalled();
+  });
+
+  it('unpins a pinned note', async () => {
+    const element = await createNotepad();
+    const pin = card(element, PINNED.Id).querySelector('.pin-button');
+
+    expect(pin.alternativeText).toBe('Unpin note');
+    pin.click();
+    await flushPromises();
+
+    expect(setNotePinned).toHaveBeenCalledWith({ noteId: PINNED.Id, pinned: false });
+  });
+
+  it('moves a dropped note in front of the note it was dropped on and saves the unpinned order', async () => {
+    const element = await createNotepad();
+
+    const over = await dragNote(element, THIRD.Id, FIRST.Id);
+
+    expect(over.defaultPrevented).toBe(true);
+    expect(renderedIds(element)).toEqual([PINNED.Id, THIRD.Id, FIRST.Id, SECOND.Id]);
+    expect(reorderNotes).toHaveBeenCalledWith({
+      recordId: RECORD_ID,
+      orderedNoteIds: [THIRD.Id, FIRST.Id, SECOND.Id]
+    });
+  });
+
+  it('does not accept drops on a pinned note', async () => {
+    const element = await createNotepad();
+
+    const over = await dragNote(element, SECOND.Id, PINNED.Id);
+
+    expect(over.defaultPrevented).toBe(false);
+    expect(reorderNotes).not.toHaveBeenCalled();
+    expect(renderedIds(element)).toEqual([PINNED.Id, FIRST.Id, SECOND.Id, THIRD.Id]);
+  });
+
+  it('puts the notes back when the order cannot be saved', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    reorderNotes.mockRejectedValue({ body: { message: 'Only the note owners can reorder these notes.' } });
+    const element = await createNotepad();
+    const toast = jest.fn();
+    element.addEventListener('lightning__showtoast', toast);
+
+    await dragNote(element, THIRD.Id, FIRST.Id);
+
+    expect(renderedIds(element)).toEqual([PINNED.Id, FIRST.Id, SECOND.Id, THIRD.Id]);
+    expect(toast.mock.calls[0][0].detail.message).toBe('Only the note owners can reorder these notes.');
+    consoleError.mockRestore();
+  });
+});
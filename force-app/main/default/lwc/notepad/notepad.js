@@ -1,6 +1,8 @@
 import { LightningElement, api, wire } from 'lwc';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { subscribe, unsubscribe, onError } from 'lightning/empApi';
 import USER_ID from '@salesforce/user/Id';
+import CAN_MODERATE from '@salesforce/customPermission/Moderate_Public_Notes';
 import { refreshApex } from '@salesforce/apex';
 
 import getNotesForRecord from '@salesforce/apex/NoteController.getNotesForRecord';
@@ -8,10 +10,17 @@ import createNote from '@salesforce/apex/NoteController.createNote';
 import updateNote from '@salesforce/apex/NoteController.updateNote';
 import deleteNote from '@salesforce/apex/NoteController.deleteNote';
 import updateNoteCompleteStatus from '@salesforce/apex/NoteController.updateNoteCompleteStatus';
+import snoozeNote from '@salesforce/apex/NoteController.snoozeNote';
+import setNotePinned from '@salesforce/apex/NoteController.setNotePinned';
+import reorderNotes from '@salesforce/apex/NoteController.reorderNotes';
 
 import createNoteReminder from '@salesforce/apex/NoteReminderController.createNoteReminder';
 import NoteReminderExists from '@salesforce/apex/NoteReminderController.NoteReminderExists';
+import getNoteReminderStates from '@salesforce/apex/NoteReminderController.getNoteReminderStates';
 import removeNoteReminder from '@salesforce/apex/NoteReminderController.removeNoteReminder';
+import exportRecordNotes from '@salesforce/apex/NoteExportController.exportRecordNotes';
+import { downloadFile } from 'c/noteFileDownload';
+import { NEW_NOTE, readDrafts, saveDraft, clearDraft } from 'c/noteDrafts';
 
 import noteEditIcon from '@salesforce/resourceUrl/noteEditIcon';
 import noteDeleteIcon from '@salesforce/resourceUrl/noteDeleteIcon';
@@ -20,6 +29,8 @@ import noteIsCompleteIcon from '@salesforce/resourceUrl/noteIsCompleteIcon';
 import noteNotfiyMeOffIcon from '@salesforce/resourceUrl/noteNotfiyMeOffIcon';
 import noteNotifyMeOnIcon from '@salesforce/resourceUrl/noteNotifyMeOnIcon';
 
+const NOTE_CHANNEL = '/event/Note_Change__e';
+
 export default class notepad extends LightningElement {
   @api recordId;
   @api objectApiName;
@@ -29,10 +40,77 @@ export default class notepad extends LightningElement {
   NoteText = '';
   isAdding = false;
   isPublic = false; // for new notes
+  newNoteDue = null; // ISO date-time for new notes
+  newNoteMentions = []; // users picked in the new note's mention picker
+  hasNewDraft = false; // NoteText was restored from / is being saved to local storage
   wiredResult;
+  noteChangeSubscription = null;
+  highlightedIds = new Set(); // notes someone else just added or edited
+
+  snoozeOptions = [
+    { label: 'Snooze 1 day', value: '1' },
+    { label: 'Snooze 1 week', value: '7' }
+  ];
 
   showDeleteConfirmation = false;
   noteToDelete = null;
+  draggedNoteId = null;
+
+  // Reopen the "Add Note" editor if the user left with unsaved text
+  connectedCallback() {
+    const draft = readDrafts(this.currentUserId, this.recordId)[NEW_NOTE];
+    if (draft) {
+      this.isAdding = true;
+      this.NoteText = draft.text;
+      this.hasNewDraft = true;
+    }
+    this.subscribeToNoteChanges();
+  }
+
+  disconnectedCallback() {
+    if (this.noteChangeSubscription) {
+      unsubscribe(this.noteChangeSubscription, () => {});
+      this.noteChangeSubscription = null;
+    }
+  }
+
+  // Live refresh: Note_Change__e is published by NoteTrigger for every create, edit and delete
+  subscribeToNoteChanges() {
+    onError(error => console.error('empApi error:', error));
+    subscribe(NOTE_CHANNEL, -1, message => this.handleNoteChange(message.data.payload))
+      .then(subscription => {
+        this.noteChangeSubscription = subscription;
+      })
+      .catch(error => console.error('Error subscribing to note changes:', error));
+  }
+
+  handleNoteChange(payload) {
+    if (!payload || payload.Parent_Record_Id__c !== this.recordId) return;
+    const id = payload.Note_Id__c;
+    // Reorders and deletes leave no single card to highlight
+    if (id && payload.Changed_By__c !== this.currentUserId && payload.Change_Type__c !== 'deleted') {
+      this.highlightedIds.add(id);
+    }
+    if (this.wiredResult) {
+      refreshApex(this.wiredResult);
+    }
+  }
+
+  // The highlight is a CSS animation; it is removed once the animation has played
+  handleHighlightEnd(event) {
+    if (event.target !== event.currentTarget) return;   // an animation inside the card
+    const id = event.currentTarget.dataset.id;
+    if (this.highlightedIds.has(id)) {
+      this.clearHighlight(id);
+    }
+  }
+
+  clearHighlight(id) {
+    this.highlightedIds.delete(id);
+    this.Notes = this.Notes.map(Note => (
+      Note.Id === id ? { ...Note, stickyNoteClass: this.getStickyNoteClass(Note.isCompleted, Note.Due_by__c) } : Note
+    ));
+  }
 
   formatCreatedDate(isoDateString) {
     if (!isoDateString) return '';
@@ -47,65 +125,129 @@ export default class notepad extends LightningElement {
     return `${month}/${day}/${year} ${hours}:${minutes}${ampm}`;
   }
 
+  isOverdue(dueBy, completed) {
+    return Boolean(dueBy) && !completed && new Date(dueBy) < new Date();
+  }
+
+  getStickyNoteClass(completed, dueBy) {
+    if (completed) return 'sticky-note completed';
+    return this.isOverdue(dueBy, completed) ? 'sticky-note overdue' : 'sticky-note';
+  }
+
+  // Fields derived from Due_by__c; recomputed whenever the due date or completion changes
+  dueFields(dueBy, completed) {
+    return {
+      Due_by__c: dueBy || null,
+      dueDisplay: dueBy ? this.formatCreatedDate(dueBy) : '',
+      isOverdue: this.isOverdue(dueBy, completed),
+      stickyNoteClass: this.getStickyNoteClass(completed, dueBy)
+    };
+  }
+
   @wire(getNotesForRecord, { recordId: '$recordId', objectApiName: '$objectApiName' })
   wiredNotes(result) {
     this.wiredResult = result;
     const { data, error } = result;
     if (data) {
+      const drafts = readDrafts(this.currentUserId, this.recordId);
+      // Live refreshes must not close a card the user is editing
+      const editingIds = new Set(this.Notes.filter(Note => Note.isEditing).map(Note => Note.Id));
       let mappedNotes = data.map(m => ({
         ...m,
-        isEditing: false,
+        isEditing: editingIds.has(m.Id),
+        hasDraft: false,
         isOwner: m.OwnerId === this.currentUserId,
+        canModify: m.OwnerId === this.currentUserId || (m.Public__c === true && CAN_MODERATE === true),
         hasReminder: false,
+        showHistory: false,
+        historyLabel: 'History',
+        showReplies: false,
+        replyCount: m.Note_Replies__r ? m.Note_Replies__r.length : 0,
+        repliesLabel: this.repliesLabel(false, m.Note_Replies__r ? m.Note_Replies__r.length : 0),
+        attachmentCount: m.ContentDocumentLinks ? m.ContentDocumentLinks.length : 0,
         notificationIconSrc: this.noteNotfiyMeOffIcon,
         ownerName: m.Owner?.Name ?? (m.OwnerId ? 'Loading...' : 'Unknown User'),
         ownerFirstName: m.Owner?.FirstName || '',
         ownerLastName: m.Owner?.LastName || '',
         ownerPhotoUrl: m.Owner?.SmallBannerPhotoUrl || '',
         isCompleted: m.Completed__c || false,
+        isPinned: m.Pinned__c === true,
+        pinLabel: m.Pinned__c ? 'Unpin note' : 'Pin to top',
+        pinVariant: m.Pinned__c ? 'brand' : 'bare',
         noteTextClass: m.Completed__c ? 'Note-text completed-note' : 'Note-text',
-        stickyNoteClass: m.Completed__c ? 'sticky-note completed' : 'sticky-note',
+        ...this.dueFields(m.Due_by__c, m.Completed__c || false),
         completeIconSrc: m.Completed__c ? this.noteIsCompleteIcon : this.noteCompleteIcon,
         completeButtonClass: m.Completed__c ? 'complete-icon-button completed' : 'complete-icon-button',
         CreatedDate: this.formatCreatedDate(m.CreatedDate),
         Public__c: m.Public__c || false
       }));
-      this.Notes = mappedNotes;
-
-      this.Notes.forEach((Note, index) => {
-        NoteReminderExists({ userId: this.currentUserId, NoteId: Note.Id })
-          .then(exists => {
-            const updatedNote = { ...Note };
-            updatedNote.hasReminder = exists;
-            updatedNote.notificationIconSrc = exists ? this.noteNotifyMeOnIcon : this.noteNotfiyMeOffIcon;
-            this.Notes = [
-              ...this.Notes.slice(0, index),
-              updatedNote,
-              ...this.Notes.slice(index + 1)
-            ];
-          })
-          .catch(error => {
-            console.error('Error checking Note reminder existence for Note:', Note.Id, error);
-          });
-      });
+      this.Notes = mappedNotes
+        .map(Note => this.applyDraft(Note, drafts[Note.Id]))
+        .map(Note => (
+          this.highlightedIds.has(Note.Id) ? { ...Note, stickyNoteClass: `${Note.stickyNoteClass} note-highlight` } : Note
+        ));
+      this.loadReminderStates();
     } else if (error) {
       console.error(error);
     }
   }
 
+  // Puts an unsaved edit back into its card; drafts that match the saved text are stale
+  applyDraft(Note, draft) {
+    if (!draft) return Note;
+    if (!Note.canModify || draft.text === Note.Note_Text__c) {
+      clearDraft(this.currentUserId, this.recordId, Note.Id);
+      return Note;
+    }
+    return { ...Note, Note_Text__c: draft.text, isEditing: true, hasDraft: true };
+  }
+
+  // One Apex call for every displayed note instead of one per note
+  loadReminderStates() {
+    const noteIds = this.Notes.map(Note => Note.Id);
+    if (noteIds.length === 0) return;
+
+    getNoteReminderStates({ userId: this.currentUserId, noteIds })
+      .then(states => {
+        this.Notes = this.Notes.map(Note => {
+          const exists = states[Note.Id] === true;
+          return {
+            ...Note,
+            hasReminder: exists,
+            notificationIconSrc: exists ? this.noteNotifyMeOnIcon : this.noteNotfiyMeOffIcon
+          };
+        });
+      })
+      .catch(err => {
+        console.error('Error loading Note reminder states:', err);
+      });
+  }
+
   startNewNote() {
     this.isAdding = true;
     this.isPublic = false;
+    this.newNoteDue = null;
   }
 
   cancelNote() {
+    clearDraft(this.currentUserId, this.recordId, NEW_NOTE);
+    this.hasNewDraft = false;
     this.isAdding = false;
     this.NoteText = '';
+    this.newNoteMentions = [];
     this.isPublic = false;
+    this.newNoteDue = null;
+  }
+
+  handleNewDueChange(event) {
+    this.newNoteDue = event.target.value || null;
   }
 
   handleTextChange(event) {
     this.NoteText = event.target.value;
+    this.newNoteMentions = event.detail.mentionedUserIds;
+    saveDraft(this.currentUserId, this.recordId, NEW_NOTE, this.NoteText);
+    this.hasNewDraft = Boolean(this.NoteText);
   }
 
   handlePublicChange(event) {
@@ -138,12 +280,18 @@ export default class notepad extends LightningElement {
       recordId: this.recordId,
       objectApiName: this.objectApiName,
       text: this.NoteText,
-      isPublic: this.isPublic
+      isPublic: this.isPublic,
+      dueBy: this.newNoteDue,
+      mentionedUserIds: this.newNoteMentions
     })
       .then(() => {
+        clearDraft(this.currentUserId, this.recordId, NEW_NOTE);
+        this.hasNewDraft = false;
         this.isAdding = false;
         this.NoteText = '';
+        this.newNoteMentions = [];
         this.isPublic = false;
+        this.newNoteDue = null;
         return refreshApex(this.wiredResult);
       })
       .catch(err => console.error(err));
@@ -157,13 +305,77 @@ export default class notepad extends LightningElement {
     }));
   }
 
+  toggleHistory(event) {
+    const id = event.currentTarget.dataset.id;
+    this.Notes = this.Notes.map(Note => {
+      if (Note.Id === id) {
+        const showHistory = !Note.showHistory;
+        return { ...Note, showHistory, historyLabel: showHistory ? 'Hide history' : 'History' };
+      }
+      return Note;
+    });
+  }
+
+  repliesLabel(showReplies, count) {
+    if (showReplies) return 'Hide replies';
+    return count > 0 ? `Replies (${count})` : 'Reply';
+  }
+
+  toggleReplies(event) {
+    const id = event.currentTarget.dataset.id;
+    this.Notes = this.Notes.map(Note => {
+      if (Note.Id === id) {
+        const showReplies = !Note.showReplies;
+        return { ...Note, showReplies, repliesLabel: this.repliesLabel(showReplies, Note.replyCount) };
+      }
+      return Note;
+    });
+  }
+
+  handleReplyCountChange(event) {
+    const { noteId, count } = event.detail;
+    this.Notes = this.Notes.map(Note => (
+      Note.Id === noteId ? { ...Note, replyCount: count, repliesLabel: this.repliesLabel(Note.showReplies, count) } : Note
+    ));
+  }
+
+  handleAttachmentCountChange(event) {
+    const { noteId, count } = event.detail;
+    this.Notes = this.Notes.map(Note => (Note.Id === noteId ? { ...Note, attachmentCount: count } : Note));
+  }
+
+  handleRestore() {
+    return refreshApex(this.wiredResult);
+  }
+
   handleEditChange(event) {
     const id = event.target.dataset.id;
     const newText = event.target.value;
+    saveDraft(this.currentUserId, this.recordId, id, newText);
 
     this.Notes = this.Notes.map(Note => {
       if (Note.Id === id) {
-        return { ...Note, Note_Text__c: newText };
+        return { ...Note, Note_Text__c: newText, hasDraft: Boolean(newText), mentionedUserIds: event.detail.mentionedUserIds };
+      }
+      return Note;
+    });
+  }
+
+  // noteTags saves on its own; keep the local copy in step
+  handleTagsChange(event) {
+    const { noteId, tags } = event.detail;
+    this.Notes = this.Notes.map(Note => (
+      Note.Id === noteId ? { ...Note, Tags__c: tags } : Note
+    ));
+  }
+
+  handleEditDueChange(event) {
+    const id = event.target.dataset.id;
+    const dueBy = event.target.value || null;
+
+    this.Notes = this.Notes.map(Note => {
+      if (Note.Id === id) {
+        return { ...Note, ...this.dueFields(dueBy, Note.isCompleted) };
       }
       return Note;
     });
@@ -176,12 +388,16 @@ export default class notepad extends LightningElement {
   updateNote({
       NoteId: id,
       newText: Note.Note_Text__c,
-      isPublic: Note.Public__c
+      isPublic: Note.Public__c,
+      dueBy: Note.Due_by__c,
+      mentionedUserIds: Note.mentionedUserIds
     })
       .then(() => {
+        clearDraft(this.currentUserId, this.recordId, id);
         this.Notes = this.Notes.map(m => ({
           ...m,
-          isEditing: m.Id === id ? false : m.isEditing
+          isEditing: m.Id === id ? false : m.isEditing,
+          hasDraft: m.Id === id ? false : m.hasDraft
         }));
         
         // REMOVE this line:
@@ -193,7 +409,14 @@ export default class notepad extends LightningElement {
           variant: 'success'
         }));
       })
-      .catch(error => console.error('Error saving Note:', error));
+      .catch(error => {
+        console.error('Error saving Note:', error);
+        this.dispatchEvent(new ShowToastEvent({
+          title: 'Error',
+          message: error.body?.message || 'Failed to save note.',
+          variant: 'error'
+        }));
+      });
   }
 
 
@@ -206,8 +429,10 @@ export default class notepad extends LightningElement {
 
   confirmDelete() {
     if (this.noteToDelete) {
-      deleteNote({ NoteId: this.noteToDelete.Id })
+      const id = this.noteToDelete.Id;
+      deleteNote({ NoteId: id })
         .then(() => {
+          clearDraft(this.currentUserId, this.recordId, id);
           this.showDeleteConfirmation = false;
           this.noteToDelete = null;
           return refreshApex(this.wiredResult);
@@ -219,7 +444,7 @@ export default class notepad extends LightningElement {
 
           this.dispatchEvent(new ShowToastEvent({
             title: 'Error',
-            message: 'Failed to delete note.',
+            message: error.body?.message || 'Failed to delete note.',
             variant: 'error'
           }));
         });
@@ -308,7 +533,7 @@ export default class notepad extends LightningElement {
           ...note,
           isCompleted: newCompletionStatus,
           noteTextClass: newCompletionStatus ? 'Note-text completed-note' : 'Note-text',
-          stickyNoteClass: newCompletionStatus ? 'sticky-note completed' : 'sticky-note',
+          ...this.dueFields(note.Due_by__c, newCompletionStatus),
           completeIconSrc: newCompletionStatus ? this.noteIsCompleteIcon : this.noteCompleteIcon,
           completeButtonClass: newCompletionStatus ? 'complete-icon-button completed' : 'complete-icon-button'
         };
@@ -328,7 +553,117 @@ export default class notepad extends LightningElement {
         console.error('Error updating note completion status:', error);
         this.dispatchEvent(new ShowToastEvent({
           title: 'Error',
-          message: 'Failed to update note completion status',
+          message: error.body?.message || 'Failed to update note completion status',
+          variant: 'error'
+        }));
+      });
+  }
+
+  handleTogglePin(event) {
+    const id = event.currentTarget.dataset.id;
+    const Note = this.Notes.find(n => n.Id === id);
+    if (!Note) return;
+
+    setNotePinned({ noteId: id, pinned: !Note.isPinned })
+      .then(() => refreshApex(this.wiredResult))
+      .catch(error => {
+        console.error('Error pinning note:', error);
+        this.dispatchEvent(new ShowToastEvent({
+          title: 'Error',
+          message: error.body?.message || 'Failed to pin note.',
+          variant: 'error'
+        }));
+      });
+  }
+
+  // Drag-and-drop reordering of unpinned notes; the order is saved for everyone on this record
+  handleDragStart(event) {
+    this.draggedNoteId = event.currentTarget.dataset.id;
+    event.dataTransfer.setData('text/plain', this.draggedNoteId);
+    event.dataTransfer.effectAllowed = 'move';
+  }
+
+  handleDragEnd() {
+    this.draggedNoteId = null;
+  }
+
+  handleDragOver(event) {
+    const target = this.Notes.find(n => n.Id === event.currentTarget.dataset.id);
+    if (this.draggedNoteId && target && !target.isPinned) {
+      event.preventDefault();
+      event.dataTransfer.dropEffect = 'move';
+    }
+  }
+
+  handleDrop(event) {
+    event.preventDefault();
+    const targetId = event.currentTarget.dataset.id;
+    const draggedId = this.draggedNoteId;
+    this.draggedNoteId = null;
+    if (!draggedId || draggedId === targetId) return;
+
+    const pinned = this.Notes.filter(n => n.isPinned);
+    const unpinned = this.Notes.filter(n => !n.isPinned && n.Id !== draggedId);
+    const dragged = this.Notes.find(n => n.Id === draggedId);
+    const targetIndex = unpinned.findIndex(n => n.Id === targetId);
+    if (!dragged || targetIndex === -1) return;
+    unpinned.splice(targetIndex, 0, dragged);
+
+    const previous = this.Notes;
+    this.Notes = [...pinned, ...unpinned];
+    reorderNotes({ recordId: this.recordId, orderedNoteIds: unpinned.map(n => n.Id) })
+      .catch(error => {
+        console.error('Error reordering notes:', error);
+        this.Notes = previous;
+        this.dispatchEvent(new ShowToastEvent({
+          title: 'Error',
+          message: error.body?.message || 'Failed to save the note order.',
+          variant: 'error'
+        }));
+      });
+  }
+
+  handleSnooze(event) {
+    const id = event.currentTarget.dataset.id;
+    const days = parseInt(event.detail.value, 10);
+
+    snoozeNote({ noteId: id, days })
+      .then(newDue => {
+        this.Notes = this.Notes.map(note => (
+          note.Id === id ? { ...note, ...this.dueFields(newDue, note.isCompleted) } : note
+        ));
+        this.dispatchEvent(new ShowToastEvent({
+          title: 'Note Snoozed',
+          message: `Due ${this.formatCreatedDate(newDue)}.`,
+          variant: 'success'
+        }));
+      })
+      .catch(error => {
+        console.error('Error snoozing note:', error);
+        this.dispatchEvent(new ShowToastEvent({
+          title: 'Error',
+          message: error.body?.message || 'Failed to snooze note.',
+          variant: 'error'
+        }));
+      });
+  }
+
+  handleExport(event) {
+    const format = event.detail.value;
+    exportRecordNotes({ recordId: this.recordId, format })
+      .then(file => {
+        downloadFile(file);
+        this.dispatchEvent(new ShowToastEvent({
+          title: 'Export Ready',
+          message: `${file.noteCount} note(s) exported.`,
+          variant: 'success'
+        }));
+      })
+      .catch(error => {
+        console.error('Error exporting notes:', error);
+        this.dispatchEvent(new ShowToastEvent({
+          title: 'Error',
+          message: error.body?.message || 'Failed to export notes.',
           variant: 'error'
         }));
       });
@@ -0,0 +1,193 @@
+import { createElement } from 'lwc';
+import NotepadDashboard from 'c/notepadDashboard';
+import searchMyNotes from '@salesforce/apex/NotepadDashboardController.searchMyNotes';
+import moveNoteToBucket from '@salesforce/apex/NotepadDashboardController.moveNoteToBucket';
+import getViewMode from '@salesforce/apex/NotepadDashboardController.getViewMode';
+import getTagCounts from '@salesforce/apex/NotepadDashboardController.getTagCounts';
+import getNoteReminderStates from '@salesforce/apex/NoteReminderController.getNoteReminderStates';
+import getEmailDigestPreference from '@salesforce/apex/NoteReminderController.getEmailDigestPreference';
+
+jest.mock('@salesforce/apex/NotepadDashboardController.searchMyNotes', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/NotepadDashboardController.moveNoteToBucket', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/NotepadDashboardController.getViewMode', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/NotepadDashboardController.getTagCounts', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/NoteReminderController.getNoteReminderStates', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/NoteReminderController.getEmailDigestPreference', () => ({ default: jest.fn() }), { virtual: true });
+
+const USER_ID = '005000000000000000';   // the jest stub for @salesforce/user/Id
+
+const WEEK_NOTE = { Id: 'a01000000000001AAA', Note_Text__c: 'Send samples', OwnerId: USER_ID, Due_by__c: '2026-10-21T09:00:00.000Z' };
+const LATER_NOTE = { Id: 'a01000000000002AAA', Note_Text__c: 'Plan the audit', OwnerId: USER_ID, Due_by__c: '2026-12-01T09:00:00.000Z' };
+const SHARED_NOTE = { Id: 'a01000000000003AAA', Note_Text__c: 'Read only', OwnerId: '005000000000001AAA', Owner: { Name: 'Ana Núñez' } };
+
+const PAGE = {
+  notes: [WEEK_NOTE, LATER_NOTE, SHARED_NOTE],
+  buckets: { [WEEK_NOTE.Id]: 'week', [LATER_NOTE.Id]: 'later', [SHARED_NOTE.Id]: 'none' },
+  totalCount: 3,
+  hasMore: false
+};
+
+// Lets the chained Apex promises in connectedCallback and loadNotes settle
+function flushPromises() {
+  let chain = Promise.resolve();
+  for (let i = 0; i < 10; i++) {
+    chain = chain.then(() => undefined);
+  }
+  return chain;
+}
+
+async function createBoard() {
+  const element = createElement('c-notepad-dashboard', { is: NotepadDashboard });
+  document.body.appendChild(element);
+  await flushPromises();
+  return element;
+}
+
+function column(element, bucket) {
+  return element.shadowRoot.querySelector(`.board-column[data-bucket="${bucket}"]`);
+}
+
+function card(element, noteId) {
+  return element.shadowRoot.querySelector(`.board-card[data-id="${noteId}"]`);
+}
+
+function field(element, tag, label) {
+  return Array.from(element.shadowRoot.querySelectorAll(tag)).find((input) => input.label === label);
+}
+
+function dragEvent(type) {
+  const event = new CustomEvent(type, { cancelable: true });
+  event.dataTransfer = { setData: jest.fn() };
+  return event;
+}
+
+// Drags a card over a column and drops it there; returns the dragover event
+async function dragCard(element, noteId, bucket) {
+  card(element, noteId).dispatchEvent(dragEvent('dragstart'));
+  const over = dragEvent('dragover');
+  column(element, bucket).dispatchEvent(over);
+  column(element, bucket).dispatchEvent(dragEvent('drop'));
+  await flushPromises();
+  return over;
+}
+
+describe('c-notepad-dashboard', () => {
+  beforeEach(() => {
+    getViewMode.mockResolvedValue('board');
+    searchMyNotes.mockResolvedValue(PAGE);
+    getTagCounts.mockResolvedValue([]);
+    getNoteReminderStates.mockResolvedValue({});
+    getEmailDigestPreference.mockResolvedValue(false);
+    moveNoteToBucket.mockResolvedValue();
+  });
+
+  afterEach(() => {
+    while (document.body.firstChild) {
+      document.body.removeChild(document.body.firstChild);
+    }
+    jest.clearAllMocks();
+    jest.useRealTimers();
+  });
+
+  it('puts each card in the column the server bucketed it into', async () => {
+    const element = await createBoard();
+
+    expect(searchMyNotes.mock.calls[0][0].criteria.includeCompleted).toBe(true);
+    expect(column(element, 'week').querySelector(`[data-id="${WEEK_NOTE.Id}"]`)).not.toBeNull();
+    expect(column(element, 'later').querySelector(`[data-id="${LATER_NOTE.Id}"]`)).not.toBeNull();
+    expect(column(element, 'none').querySelector(`[data-id="${SHARED_NOTE.Id}"]`)).not.toBeNull();
+    expect(column(element, 'week').querySelector('.board-column-title').textContent).toBe('Due This Week (1)');
+    expect(column(element, 'overdue').querySelector('.board-column-title').textContent).toBe('Overdue (0)');
+  });
+
+  it('only lets the owner drag a card', async () => {
+    const element = await createBoard();
+
+    expect(card(element, WEEK_NOTE.Id).getAttribute('draggable')).toBe('true');
+    expect(card(element, SHARED_NOTE.Id).getAttribute('draggable')).toBe('false');
+  });
+
+  it('moves a dropped card to the new column and reloads the board', async () => {
+    const element = await createBoard();
+    const toast = jest.fn();
+    element.addEventListener('lightning__showtoast', toast);
+
+    const over = await dragCard(element, WEEK_NOTE.Id, 'completed');
+
+    expect(over.defaultPrevented).toBe(true);
+    expect(moveNoteToBucket).toHaveBeenCalledWith({ noteId: WEEK_NOTE.Id, bucket: 'completed' });
+    expect(searchMyNotes).toHaveBeenCalledTimes(2);
+    expect(toast.mock.calls[0][0].detail.message).toBe('Moved to Completed.');
+  });
+
+  it('does not accept drops on the Overdue column', async () => {
+    const element = await createBoard();
+
+    const over = await dragCard(element, LATER_NOTE.Id, 'overdue');
+
+    expect(over.defaultPrevented).toBe(false);
+    expect(moveNoteToBucket).not.toHaveBeenCalled();
+  });
+
+  it('ignores a card dropped back on its own column', async () => {
+    const element = await createBoard();
+
+    await dragCard(element, LATER_NOTE.Id, 'later');
+
+    expect(moveNoteToBucket).not.toHaveBeenCalled();
+    expect(searchMyNotes).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps the card where it was when the move fails', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    moveNoteToBucket.mockRejectedValue({ body: { message: 'You can only change notes you own.' } });
+    const element = await createBoard();
+    const toast = jest.fn();
+    element.addEventListener('lightning__showtoast', toast);
+
+    await dragCard(element, WEEK_NOTE.Id, 'later');
+
+    expect(toast.mock.calls[0][0].detail.message).toBe('You can only change notes you own.');
+    expect(column(element, 'week').querySelector(`[data-id="${WEEK_NOTE.Id}"]`)).not.toBeNull();
+    expect(searchMyNotes).toHaveBeenCalledTimes(1);
+    consoleError.mockRestore();
+  });
+
+  it('keeps the newest answer when an older load finishes last', async () => {
+    const element = await createBoard();
+    let answerFirst;
+    searchMyNotes
+      .mockReturnValueOnce(new Promise((resolve) => { answerFirst = resolve; }))
+      .mockResolvedValueOnce({ ...PAGE, notes: [LATER_NOTE], totalCount: 1 });
+
+    const recordType = field(element, 'lightning-combobox', 'Record type');
+    recordType.dispatchEvent(new CustomEvent('change', { detail: { value: 'Company__c' } }));
+    recordType.dispatchEvent(new CustomEvent('change', { detail: { value: 'Product2' } }));
+    await flushPromises();
+    answerFirst(PAGE);
+    await flushPromises();
+
+    expect(card(element, LATER_NOTE.Id)).not.toBeNull();
+    expect(card(element, WEEK_NOTE.Id)).toBeNull();
+  });
+
+  it('searches once the user pauses typing, and not before two characters', async () => {
+    const element = await createBoard();
+    jest.useFakeTimers();
+    const search = field(element, 'lightning-input', 'Search notes');
+
+    search.value = 'S';
+    search.dispatchEvent(new CustomEvent('change'));
+    jest.advanceTimersByTime(1000);
+    search.value = 'SB';
+    search.dispatchEvent(new CustomEvent('change'));
+    search.value = 'SBIR';
+    search.dispatchEvent(new CustomEvent('change'));
+    jest.advanceTimersByTime(299);
+    expect(searchMyNotes).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(1);
+    expect(searchMyNotes).toHaveBeenCalledTimes(2);
+    expect(searchMyNotes.mock.calls[1][0].criteria.searchTerm).toBe('SBIR');
+  });
+});
@@ -1,22 +1,29 @@
-import { LightningElement, api, track, wire } from 'lwc';
+import { LightningElement, api, track } from 'lwc';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import { NavigationMixin } from 'lightning/navigation';
+import { subscribe, unsubscribe, onError } from 'lightning/empApi';
 import USER_ID from '@salesforce/user/Id';
+import CAN_MODERATE from '@salesforce/customPermission/Moderate_Public_Notes';
+import { downloadFile } from 'c/noteFileDownload';
 
 // Apex – Notes
-import getMyNotes from '@salesforce/apex/NotepadDashboardController.getMyNotes';
+import searchMyNotes from '@salesforce/apex/NotepadDashboardController.searchMyNotes';
 import updateNoteText from '@salesforce/apex/NotepadDashboardController.updateNoteText';
 import deleteNoteSrv from '@salesforce/apex/NotepadDashboardController.deleteNote';
-
-// Apex – Multi-Object Lookup
-import getBatchRecordIds from '@salesforce/apex/NotepadDashboardController.getBatchRecordIds';
+import createNoteSrv from '@salesforce/apex/NotepadDashboardController.createNote';
+import moveNoteToBucket from '@salesforce/apex/NotepadDashboardController.moveNoteToBucket';
+import getViewMode from '@salesforce/apex/NotepadDashboardController.getViewMode';
+import getTagCounts from '@salesforce/apex/NotepadDashboardController.getTagCounts';
+import setViewMode from '@salesforce/apex/NotepadDashboardController.setViewMode';
+import exportMyNotes from '@salesforce/apex/NoteExportController.exportMyNotes';
 
 // Apex – Reminders
 import createNoteReminder from '@salesforce/apex/NoteReminderController.createNoteReminder';
 import NoteReminderExists from '@salesforce/apex/NoteReminderController.NoteReminderExists';
+import getNoteReminderStates from '@salesforce/apex/NoteReminderController.getNoteReminderStates';
 import removeNoteReminder from '@salesforce/apex/NoteReminderController.removeNoteReminder';
-
-import { refreshApex } from '@salesforce/apex';
+import getEmailDigestPreference from '@salesforce/apex/NoteReminderController.getEmailDigestPreference';
+import setEmailDigestPreference from '@salesforce/apex/NoteReminderController.setEmailDigestPreference';
 
 // Static resource icons
 import noteEditIcon from '@salesforce/resourceUrl/noteEditIcon';
@@ -24,6 +31,9 @@ import noteDeleteIcon from '@salesforce/resourceUrl/noteDeleteIcon';
 import noteNotifyMeOnIcon from '@salesforce/resourceUrl/noteNotifyMeOnIcon';
 import noteNotfiyMeOffIcon from '@salesforce/resourceUrl/noteNotfiyMeOffIcon';
 
+const NOTE_CHANNEL = '/event/Note_Change__e';
+const MIN_SEARCH_LENGTH = 2; // NotepadDashboardController.MIN_SEARCH_LENGTH
+
 export default class NotepadDashboard extends NavigationMixin(LightningElement) {
   @api includecompleted;
   @api maxrecords;
@@ -32,85 +42,228 @@ export default class NotepadDashboard extends NavigationMixin(LightningElement)
 
   @track notes = [];
   noteText = '';
+  newNoteMentions = [];       // users picked in the new note's mention picker
   newNoteDue;
   isAdding = false;
+  newNotePublic = false;
+  attachObjectApiName = '';   // '' = personal to-do
+  attachRecordId = null;
   loading = false;
 
+  emailDigest = false;
+  viewMode = 'list';
+  draggedNoteId;
+
   showDeleteModal = false;
   notePendingDelete;
-  wiredResult;
 
-  // Cache for record IDs to persist across navigation
-  @track recordIdCache = new Map();
+  // Search / filter / sort state, applied server-side by searchMyNotes
+  searchTerm = '';
+  objectTypeFilter = '';
+  dueWindowFilter = '';
+  reminderFilter = '';
+  tagFilter = '';
+  tagCounts = [];
+  sortBy = 'due';
+  pageNumber = 0;
+  totalCount = 0;
+  hasMore = false;
+  truncated = false;   // the server could not return every match
+  _searchTimeout;
+  _notesRequest = 0;   // only the latest searchMyNotes call may fill the list
+
+  // Live updates (Note_Change__e)
+  _noteChangeSubscription;
+  _liveRefreshing = false;
+  _liveRefreshPending = false;
+  _highlightIds = new Set();
+
+  attachOptions = [
+    { label: 'Nothing (personal to-do)', value: '' },
+    { label: 'Company', value: 'Company__c' },
+    { label: 'Product', value: 'Product2' },
+    { label: 'Lab / Research Center', value: 'Lab_Research_Center__c' }
+  ];
+
+  viewOptions = [
+    { label: 'List', value: 'list' },
+    { label: 'Board', value: 'board' }
+  ];
+
+  // Board columns; "overdue" only fills itself, so nothing can be dropped on it
+  boardColumnDefs = [
+    { key: 'overdue', title: 'Overdue', droppable: false },
+    { key: 'week', title: 'Due This Week', droppable: true },
+    { key: 'later', title: 'Later', droppable: true },
+    { key: 'none', title: 'No Due Date', droppable: true },
+    { key: 'completed', title: 'Completed', droppable: true }
+  ];
+
+  objectTypeOptions = [
+    { label: 'All records', value: '' },
+    { label: 'Company', value: 'Company__c' },
+    { label: 'Product', value: 'Product2' },
+    { label: 'Lab / Research Center', value: 'Lab_Research_Center__c' },
+    { label: 'Personal to-dos', value: 'personal' }
+  ];
+
+  dueWindowOptions = [
+    { label: 'Any due date', value: '' },
+    { label: 'Overdue', value: 'overdue' },
+    { label: 'Due today', value: 'today' },
+    { label: 'Due this week', value: 'week' }
+  ];
+
+  reminderOptions = [
+    { label: 'Any reminder state', value: '' },
+    { label: 'Reminder on', value: 'on' },
+    { label: 'Reminder off', value: 'off' }
+  ];
+
+  sortOptions = [
+    { label: 'Due date', value: 'due' },
+    { label: 'Newest first', value: 'newest' },
+    { label: 'Oldest first', value: 'oldest' },
+    { label: 'Record name', value: 'record' }
+  ];
 
   editNoteIcon = noteEditIcon;
   deleteNoteIcon = noteDeleteIcon;
 
   // --------------------------------------------------------------------------
-  // Wire: load my notes
-  // --------------------------------------------------------------------------
-  @wire(getMyNotes, { includeCompleted: '$includecompleted', maxRecords: '$maxrecords' })
-  wiredNotes(result) {
-    this.wiredResult = result;
-    const { data, error } = result;
-    if (data) {
-      this.notes = data.map((n) => this._mapNote(n));
-      this._hydrateRecordLinks();     // Updated method name
-      this._hydrateReminders();       // Populate reminder states
-      this.loading = false;
-    } else if (error) {
-      console.error('getMyNotes error', error);
-      this._toast('Error', 'Failed to load notes.', 'error');
-      this.loading = false;
-    } else {
-      this.loading = true;
+  // Load my notes (one page at a time; "Load more" appends the next page)
+  // --------------------------------------------------------------------------
+  loadNotes(append = false) {
+    this.pageNumber = append ? this.pageNumber + 1 : 0;
+    this.loading = true;
+    if (!append) {
+      this._loadTagCounts();
     }
+    const request = ++this._notesRequest;
+    return searchMyNotes({ criteria: this._criteria() })
+      .then((page) => {
+        // A newer search, filter or sort has been asked for since; its answer wins
+        if (request !== this._notesRequest) return;
+        const mapped = page.notes.map((n) => this._mapNote(n, page.buckets[n.Id]));
+        this.notes = append ? [...this.notes, ...mapped] : mapped;
+        this.totalCount = page.totalCount;
+        this.hasMore = page.hasMore;
+        this.truncated = page.truncated === true;
+        this._hydrateReminders();       // Populate reminder states
+      })
+      .catch((err) => {
+        if (request !== this._notesRequest) return;
+        console.error('searchMyNotes error', err);
+        this._toast('Error', err.body?.message || 'Failed to load notes.', 'error');
+      })
+      .finally(() => {
+        if (request === this._notesRequest) {
+          this.loading = false;
+        }
+      });
+  }
+
+  _criteria() {
+    return {
+      searchTerm: this._searchableTerm,
+      objectType: this.objectTypeFilter,
+      dueWindow: this.dueWindowFilter,
+      reminderState: this.reminderFilter,
+      tag: this.tagFilter,
+      sortBy: this.sortBy,
+      includeCompleted: this.includecompleted === true || this.isBoard,   // board always has a Completed column
+      pageSize: this.maxrecords,
+      pageNumber: this.pageNumber
+    };
+  }
+
+  // A term too short for the server is not searched yet, even when a filter changes
+  get _searchableTerm() {
+    const term = (this.searchTerm || '').trim();
+    return term.length >= MIN_SEARCH_LENGTH ? term : '';
+  }
+
+  connectedCallback() {
+    getViewMode()
+      .then((mode) => {
+        this.viewMode = mode;
+      })
+      .catch((err) => {
+        console.error('getViewMode error', err);
+      })
+      .finally(() => {
+        this.loadNotes();
+      });
+    this._subscribeToNoteChanges();
+    getEmailDigestPreference()
+      .then((enabled) => {
+        this.emailDigest = enabled === true;
+      })
+      .catch((err) => {
+        console.error('getEmailDigestPreference error', err);
+      });
   }
 
   // --------------------------------------------------------------------------
-  // Lifecycle methods to handle component visibility changes
+  // Export (current search and filters, every page up to the server's limit)
   // --------------------------------------------------------------------------
-  connectedCallback() {
-    // Re-hydrate record links when component becomes active
-    if (this.notes && this.notes.length > 0) {
-      this._hydrateRecordLinks();
-    }
+  handleExport(event) {
+    const format = event.detail.value;
+    exportMyNotes({ criteria: this._criteria(), format })
+      .then((file) => {
+        downloadFile(file);
+        if (file.truncated) {
+          this._toast(
+            'Export incomplete',
+            `Only the first ${file.noteCount} notes were exported. Narrow your search or filters to export the rest.`,
+            'warning'
+          );
+        } else {
+          this._toast('Export ready', `${file.noteCount} note(s) exported.`, 'success');
+        }
+      })
+      .catch((err) => {
+        console.error('exportMyNotes error', err);
+        this._toast('Error', err.body?.message || 'Failed to export notes.', 'error');
+      });
   }
 
   // --------------------------------------------------------------------------
   // Mapping helpers
   // --------------------------------------------------------------------------
-  _mapNote(n) {
+  _mapNote(n, bucket) {
     const completed = n.Completed__c === true;
     const recordName = n.TargetObjectName__c;    // Generic record name
     const objectType = n.TargetObjectType__c;    // Object API name
-
-    // Check cache first for existing record ID
-    const cacheKey = this._getCacheKey(recordName, objectType);
-    const cachedRecordId = this.recordIdCache.get(cacheKey);
+    const canModify = n.OwnerId === this.currentUserId || (n.Public__c === true && CAN_MODERATE === true);
+    const highlight = this._highlightIds.has(n.Id) ? ' note-highlight' : '';
 
     return {
       ...n,
       isEditing: false,
+      isOwner: n.OwnerId === this.currentUserId,
+      canModify,
+      ownerName: n.Owner?.Name || '',
       isCompleted: completed,
       noteTextClass: completed ? 'Note-text completed-note' : 'Note-text',
-      stickyNoteClass: completed ? 'sticky-note completed' : 'sticky-note',
+      stickyNoteClass: (completed ? 'sticky-note completed' : 'sticky-note') + highlight,
+      boardCardClass: 'board-card' + highlight,
       completeButtonClass: completed ? 'complete-icon-button completed' : 'complete-icon-button',
       hasReminder: false,
+      showHistory: false,
+      historyLabel: 'History',
       notifyButtonClass: 'notify-icon-button',
       notificationIconSrc: noteNotfiyMeOffIcon,
       createdDisplay: this._fmtDate(n.CreatedDate),
       dueDisplay: n.Due_by__c ? this._fmtDate(n.Due_by__c) : null,
       recordName,          // Generic field name
       objectType,          // Object API name
-      relatedRecordId: cachedRecordId || null,     // Use cached value if available
+      relatedRecordId: n.Parent_Record_Id__c || null,
+      bucket,              // board column, decided by the server
+      draggable: canModify ? 'true' : 'false',
     };
   }
 
-  _getCacheKey(recordName, objectType) {
-    return `${objectType}:${recordName}`;
-  }
-
   _fmtDate(iso) {
     if (!iso) return '';
     try {
@@ -129,122 +282,33 @@ export default class NotepadDashboard extends NavigationMixin(LightningElement)
   }
 
   // --------------------------------------------------------------------------
-  // Hydrate Record Links - Multi-Object Support with Caching
+  // Hydrate Reminder State
   // --------------------------------------------------------------------------
-  _hydrateRecordLinks() {
-    // Group notes by object type and collect unique canonical names
-    const objectTypeToNames = {};
-    const canonToOriginalByType = {};
-    const notesToUpdate = [];
-
-    this.notes.forEach((n, index) => {
-      const rawName = n.recordName;
-      const objectType = n.objectType;
-      
-      if (!rawName || !objectType) return;
-      
-      const canonName = rawName.trim().toLowerCase();
-      if (!canonName) return;
-
-      const cacheKey = this._getCacheKey(rawName.trim(), objectType);
-      
-      // If we already have this in cache, use it
-      if (this.recordIdCache.has(cacheKey)) {
-        const cachedId = this.recordIdCache.get(cacheKey);
-        if (n.relatedRecordId !== cachedId) {
-          notesToUpdate.push({ index, recordId: cachedId });
-        }
-        return;
-      }
-
-      // Initialize object type tracking for lookup
-      if (!objectTypeToNames[objectType]) {
-        objectTypeToNames[objectType] = [];
-        canonToOriginalByType[objectType] = {};
-      }
-
-      // Track canonical to original name mapping
-      if (!canonToOriginalByType[objectType][canonName]) {
-        canonToOriginalByType[objectType][canonName] = rawName.trim();
-        objectTypeToNames[objectType].push(rawName.trim());
-      }
-    });
-
-    // Apply cached updates immediately
-    if (notesToUpdate.length > 0) {
-      this.notes = [...this.notes];
-      notesToUpdate.forEach(({ index, recordId }) => {
-        this.notes[index] = { ...this.notes[index], relatedRecordId: recordId };
-      });
-    }
-
-    // If no new records to look up, exit early
-    if (Object.keys(objectTypeToNames).length === 0) return;
-
-    // Call Apex to get batch results for new lookups only
-    getBatchRecordIds({ objectTypeToNames })
-      .then((batchResults) => {
-        // batchResults is Map<String, Map<String, Id>>
-        // objectType -> (recordName -> recordId)
-        
-        // Normalize results by object type and canonical name
-        const normalizedResults = {};
-        Object.keys(batchResults).forEach((objectType) => {
-          const nameIdMap = batchResults[objectType];
-          normalizedResults[objectType] = {};
-          
-          Object.keys(nameIdMap).forEach((rawName) => {
-            const canonName = rawName.trim().toLowerCase();
-            const recordId = nameIdMap[rawName];
-            normalizedResults[objectType][canonName] = recordId;
-            
-            // Cache the result
-            const cacheKey = this._getCacheKey(rawName, objectType);
-            this.recordIdCache.set(cacheKey, recordId);
-          });
-        });
-
-        // Apply to notes
-        this.notes = this.notes.map((n) => {
-          if (!n.recordName || !n.objectType) return n;
-          
-          const canonName = n.recordName.trim().toLowerCase();
-          const objectResults = normalizedResults[n.objectType];
-          const recordId = objectResults ? objectResults[canonName] : null;
-          
-          return recordId 
-            ? { ...n, relatedRecordId: recordId }
-            : n;
+  _hydrateReminders() {
+    const noteIds = this.notes.map((n) => n.Id);
+    if (noteIds.length === 0) return;
+
+    getNoteReminderStates({ userId: this.currentUserId, noteIds })
+      .then((states) => {
+        this.notes = this.notes.map((note) => {
+          const exists = states[note.Id] === true;
+          return {
+            ...note,
+            hasReminder: exists,
+            notifyButtonClass: exists
+              ? 'notify-icon-button pressed-notification'
+              : 'notify-icon-button',
+            notificationIconSrc: exists
+              ? noteNotifyMeOnIcon
+              : noteNotfiyMeOffIcon
+          };
         });
       })
       .catch((err) => {
-        console.error('getBatchRecordIds error', err);
+        console.error('Reminder check error', err);
       });
   }
 
-  // --------------------------------------------------------------------------
-  // Hydrate Reminder State
-  // --------------------------------------------------------------------------
-  _hydrateReminders() {
-    this.notes.forEach((note, idx) => {
-      NoteReminderExists({ userId: this.currentUserId, NoteId: note.Id })
-        .then((exists) => {
-          const updated = { ...note };
-          updated.hasReminder = exists;
-          updated.notifyButtonClass = exists
-            ? 'notify-icon-button pressed-notification'
-            : 'notify-icon-button';
-          updated.notificationIconSrc = exists
-            ? noteNotifyMeOnIcon
-            : noteNotfiyMeOffIcon;
-          this._replaceNote(idx, updated);
-        })
-        .catch((err) => {
-          console.error('Reminder check error', err);
-        });
-    });
-  }
-
   _replaceNote(index, updated) {
     this.notes = [
       ...this.notes.slice(0, index),
@@ -258,7 +322,7 @@ export default class NotepadDashboard extends NavigationMixin(LightningElement)
   // --------------------------------------------------------------------------
   handleNoteCardClick(event) {
     // Ignore clicks on interactive child controls
-    const interactive = event.target.closest('button, a, lightning-button, lightning-input, lightning-textarea');
+    const interactive = event.target.closest('button, a, lightning-button, lightning-input, lightning-textarea, lightning-formatted-rich-text, c-note-editor, c-note-sharing, c-note-history, c-note-task-convert, c-note-tags');
     if (interactive) return;
 
     // Grab record id from dataset
@@ -269,15 +333,6 @@ export default class NotepadDashboard extends NavigationMixin(LightningElement)
     
     if (!recordId) {
       console.log('No recordId available for navigation');
-      
-      // Try to re-hydrate record links if recordId is missing
-      if (noteId) {
-        const note = this.notes.find((x) => x.Id === noteId);
-        if (note && note.recordName && note.objectType) {
-          console.log('Attempting to re-hydrate record links...');
-          this._hydrateRecordLinks();
-        }
-      }
       return;
     }
 
@@ -315,6 +370,309 @@ export default class NotepadDashboard extends NavigationMixin(LightningElement)
     return this.notes && this.notes.length > 0;
   }
 
+  // Own notes first, then notes other people shared with or mentioned me in
+  get noteSections() {
+    const sections = [
+      { key: 'mine', title: 'My Notes', notes: this.notes.filter((n) => n.isOwner) },
+      { key: 'shared', title: 'Shared with me', notes: this.notes.filter((n) => !n.isOwner) }
+    ];
+    return sections.filter((section) => section.notes.length > 0);
+  }
+
+  get isBoard() {
+    return this.viewMode === 'board';
+  }
+
+  get boardColumns() {
+    return this.boardColumnDefs.map((column) => {
+      const notes = this.notes.filter((n) => n.bucket === column.key);
+      return {
+        ...column,
+        notes,
+        count: notes.length,
+        columnClass: `board-column board-column-${column.key}`
+      };
+    });
+  }
+
+  get isAttaching() {
+    return Boolean(this.attachObjectApiName);
+  }
+
+  get publicDisabled() {
+    return !this.attachRecordId;
+  }
+
+  get emptyMessage() {
+    const filtered = this.searchTerm || this.objectTypeFilter || this.dueWindowFilter || this.reminderFilter || this.tagFilter;
+    return filtered ? 'No notes match your search.' : 'No notes yet.';
+  }
+
+  get minSearchLength() {
+    return MIN_SEARCH_LENGTH;
+  }
+
+  get resultSummary() {
+    const limit = this.truncated ? ' (search limit reached, narrow your search or filters to see the rest)' : '';
+    return `Showing ${this.notes.length} of ${this.totalCount}${limit}`;
+  }
+
+  // --------------------------------------------------------------------------
+  // Search, filter & sort
+  // --------------------------------------------------------------------------
+  handleSearchChange(e) {
+    this.searchTerm = e.target.value;
+    clearTimeout(this._searchTimeout);
+    // The server needs at least two characters; the input shows why it waits
+    const term = (this.searchTerm || '').trim();
+    if (term.length > 0 && term.length < MIN_SEARCH_LENGTH) return;
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    this._searchTimeout = setTimeout(() => this.loadNotes(), 300);
+  }
+
+  handleObjectTypeFilterChange(e) {
+    this.objectTypeFilter = e.detail.value;
+    this.loadNotes();
+  }
+
+  handleDueWindowFilterChange(e) {
+    this.dueWindowFilter = e.detail.value;
+    this.loadNotes();
+  }
+
+  handleReminderFilterChange(e) {
+    this.reminderFilter = e.detail.value;
+    this.loadNotes();
+  }
+
+  // --------------------------------------------------------------------------
+  // Tags: cloud with counts, click a tag (in the cloud or on a note) to filter
+  // --------------------------------------------------------------------------
+  _loadTagCounts() {
+    return getTagCounts({ includeCompleted: this.includecompleted === true || this.isBoard })
+      .then((counts) => {
+        this.tagCounts = counts;
+      })
+      .catch((err) => {
+        console.error('getTagCounts error', err);
+      });
+  }
+
+  get hasTagCounts() {
+    return this.tagCounts.length > 0;
+  }
+
+  get tagCloud() {
+    const active = this.tagFilter.toLowerCase();
+    return this.tagCounts.map((t) => ({
+      key: t.name.toLowerCase(),
+      name: t.name,
+      label: `${t.name} (${t.count})`,
+      variant: t.name.toLowerCase() === active ? 'brand' : 'neutral'
+    }));
+  }
+
+  get tagFilterLabel() {
+    return `Tag: ${this.tagFilter}`;
+  }
+
+  handleTagCloudClick(e) {
+    const tag = e.currentTarget.dataset.tag;
+    this.tagFilter = tag.toLowerCase() === this.tagFilter.toLowerCase() ? '' : tag;
+    this.loadNotes();
+  }
+
+  handleTagSelect(e) {
+    this.tagFilter = e.detail.tag;
+    this.loadNotes();
+  }
+
+  clearTagFilter() {
+    this.tagFilter = '';
+    this.loadNotes();
+  }
+
+  handleTagsChange(e) {
+    const { noteId, tags } = e.detail;
+    this.notes = this.notes.map((n) => (n.Id === noteId ? { ...n, Tags__c: tags } : n));
+    this._loadTagCounts();
+  }
+
+  handleSortChange(e) {
+    this.sortBy = e.detail.value;
+    this.loadNotes();
+  }
+
+  loadMore() {
+    this.loadNotes(true);
+  }
+
+  disconnectedCallback() {
+    clearTimeout(this._searchTimeout);
+    if (this._noteChangeSubscription) {
+      unsubscribe(this._noteChangeSubscription, () => {});
+      this._noteChangeSubscription = null;
+    }
+  }
+
+  // --------------------------------------------------------------------------
+  // Live updates: NoteTrigger publishes Note_Change__e on create, edit and delete
+  // --------------------------------------------------------------------------
+  _subscribeToNoteChanges() {
+    onError((err) => console.error('empApi error', err));
+    subscribe(NOTE_CHANNEL, -1, (message) => this._handleNoteChange(message.data.payload))
+      .then((subscription) => {
+        this._noteChangeSubscription = subscription;
+      })
+      .catch((err) => console.error('Note change subscribe error', err));
+  }
+
+  _handleNoteChange(payload) {
+    // The dashboard has its own sort orders, so a record's drag order does not affect it
+    if (!payload || payload.Change_Type__c === 'reordered') return;
+    const id = payload.Note_Id__c;
+    const listed = this.notes.some((n) => n.Id === id);
+    if (payload.Owner_Id__c !== this.currentUserId && !listed) return;   // not on this dashboard
+
+    if (payload.Changed_By__c !== this.currentUserId && payload.Change_Type__c !== 'deleted') {
+      this._highlightIds.add(id);
+    }
+    this._queueLiveRefresh();
+  }
+
+  // Several notes often change together (bulk edits, task sync). Events that arrive while a
+  // refresh is running ask for one more refresh after it, however many of them there are.
+  _queueLiveRefresh() {
+    if (this._liveRefreshing) {
+      this._liveRefreshPending = true;
+      return;
+    }
+    this._liveRefreshing = true;
+    this._refreshLive().finally(() => {
+      this._liveRefreshing = false;
+      if (this._liveRefreshPending) {
+        this._liveRefreshPending = false;
+        this._queueLiveRefresh();
+      }
+    });
+  }
+
+  // Reloads every page already shown, keeping cards that are being edited as they are
+  _refreshLive() {
+    const pageSize = Number(this.maxrecords) || 50;
+    const pages = Math.max(this.pageNumber + 1, 1);
+    const editing = new Map(this.notes.filter((n) => n.isEditing).map((n) => [n.Id, n]));
+    const request = ++this._notesRequest;
+    return searchMyNotes({
+      criteria: { ...this._criteria(), pageNumber: 0, pageSize: Math.min(pages * pageSize, 200) }
+    })
+      .then((page) => {
+        if (request !== this._notesRequest) return;
+        this.notes = page.notes.map((n) => editing.get(n.Id) || this._mapNote(n, page.buckets[n.Id]));
+        this.totalCount = page.totalCount;
+        this.hasMore = page.hasMore;
+        this.truncated = page.truncated === true;
+        this._hydrateReminders();
+      })
+      .catch((err) => {
+        console.error('Live refresh error', err);
+      })
+      .finally(() => {
+        // It may have replaced a load that was still running
+        if (request === this._notesRequest) {
+          this.loading = false;
+        }
+      });
+  }
+
+  // The highlight is a CSS animation; it is removed once the animation has played
+  handleHighlightEnd(event) {
+    if (event.target !== event.currentTarget) return;   // an animation inside the card
+    const id = event.currentTarget.dataset.noteId || event.currentTarget.dataset.id;
+    if (this._highlightIds.has(id)) {
+      this._clearHighlight(id);
+    }
+  }
+
+  _clearHighlight(id) {
+    this._highlightIds.delete(id);
+    this.notes = this.notes.map((n) => (
+      n.Id === id
+        ? { ...n, stickyNoteClass: n.stickyNoteClass.replace(' note-highlight', ''), boardCardClass: 'board-card' }
+        : n
+    ));
+  }
+
+  // --------------------------------------------------------------------------
+  // Create
+  // --------------------------------------------------------------------------
+  startNewNote() {
+    this.isAdding = true;
+  }
+
+  cancelNewNote() {
+    this.isAdding = false;
+    this.noteText = '';
+    this.newNoteMentions = [];
+    this.newNoteDue = null;
+    this.newNotePublic = false;
+    this.attachObjectApiName = '';
+    this.attachRecordId = null;
+  }
+
+  handleNewTextChange(e) {
+    this.noteText = e.target.value;
+    this.newNoteMentions = e.detail.mentionedUserIds;
+  }
+
+  handleNewDueChange(e) {
+    this.newNoteDue = e.target.value || null;
+  }
+
+  handleNewPublicChange(e) {
+    this.newNotePublic = e.target.checked;
+  }
+
+  handleAttachTypeChange(e) {
+    this.attachObjectApiName = e.detail.value;
+    this.attachRecordId = null;
+    this.newNotePublic = false;
+  }
+
+  handleAttachRecordChange(e) {
+    this.attachRecordId = e.detail.recordId || null;
+    if (!this.attachRecordId) {
+      this.newNotePublic = false;
+    }
+  }
+
+  saveNewNote() {
+    if (!this.noteText || !this.noteText.trim()) {
+      this._toast('Error', 'Enter some note text first.', 'error');
+      return;
+    }
+    if (this.attachObjectApiName && !this.attachRecordId) {
+      this._toast('Error', 'Pick a record to attach the note to, or choose personal to-do.', 'error');
+      return;
+    }
+    createNoteSrv({
+      text: this.noteText,
+      isPublic: this.attachRecordId ? this.newNotePublic : false,
+      dueBy: this.newNoteDue,
+      recordId: this.attachRecordId,
+      mentionedUserIds: this.newNoteMentions
+    })
+      .then(() => {
+        this._toast('Success', 'Note created.', 'success');
+        this.cancelNewNote();
+        return this.loadNotes();
+      })
+      .catch((err) => {
+        console.error('createNote error', err);
+        this._toast('Error', 'Failed to create note.', 'error');
+      });
+  }
+
   // --------------------------------------------------------------------------
   // Edit
   // --------------------------------------------------------------------------
@@ -328,8 +686,9 @@ export default class NotepadDashboard extends NavigationMixin(LightningElement)
   handleEditChange(e) {
     const id = e.target.dataset.id;
     const txt = e.target.value;
+    const mentionedUserIds = e.detail.mentionedUserIds;
     this.notes = this.notes.map((n) =>
-      n.Id === id ? { ...n, Note_Text__c: txt } : n
+      n.Id === id ? { ...n, Note_Text__c: txt, mentionedUserIds } : n
     );
   }
 
@@ -344,20 +703,88 @@ export default class NotepadDashboard extends NavigationMixin(LightningElement)
     const id = e.currentTarget.dataset.id;
     const note = this.notes.find((n) => n.Id === id);
     if (!note) return;
-    updateNoteText({ noteId: id, newText: note.Note_Text__c })
+    updateNoteText({ noteId: id, newText: note.Note_Text__c, mentionedUserIds: note.mentionedUserIds })
       .then(() => {
         this._toast('Success', 'Note updated.', 'success');
         this.notes = this.notes.map((n) =>
           n.Id === id ? { ...n, isEditing: false } : n
         );
-        return refreshApex(this.wiredResult);
+        return this.loadNotes();
       })
       .catch((err) => {
         console.error('updateNoteText error', err);
-        this._toast('Error', 'Failed to update note.', 'error');
+        this._toast('Error', err.body?.message || 'Failed to update note.', 'error');
+      });
+  }
+
+  // --------------------------------------------------------------------------
+  // View mode & board drag and drop
+  // --------------------------------------------------------------------------
+  handleViewModeChange(e) {
+    const previous = this.viewMode;
+    this.viewMode = e.detail.value;
+    this.loadNotes();
+    setViewMode({ mode: this.viewMode })
+      .catch((err) => {
+        console.error('setViewMode error', err);
+        this.viewMode = previous;
+        this._toast('Error', 'Failed to save view preference.', 'error');
+      });
+  }
+
+  handleDragStart(e) {
+    this.draggedNoteId = e.currentTarget.dataset.id;
+    e.dataTransfer.setData('text/plain', this.draggedNoteId);
+    e.dataTransfer.effectAllowed = 'move';
+  }
+
+  handleDragEnd() {
+    this.draggedNoteId = null;
+  }
+
+  handleDragOver(e) {
+    const column = this.boardColumnDefs.find((c) => c.key === e.currentTarget.dataset.bucket);
+    if (column && column.droppable && this.draggedNoteId) {
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+    }
+  }
+
+  handleDrop(e) {
+    e.preventDefault();
+    const bucket = e.currentTarget.dataset.bucket;
+    const column = this.boardColumnDefs.find((c) => c.key === bucket);
+    const note = this.notes.find((n) => n.Id === this.draggedNoteId);
+    this.draggedNoteId = null;
+    if (!column || !column.droppable || !note || note.bucket === bucket) return;
+
+    moveNoteToBucket({ noteId: note.Id, bucket })
+      .then(() => {
+        this._toast('Note Moved', `Moved to ${column.title}.`, 'success');
+        return this.loadNotes();
+      })
+      .catch((err) => {
+        console.error('moveNoteToBucket error', err);
+        this._toast('Error', err.body?.message || 'Failed to move note.', 'error');
       });
   }
 
+  // --------------------------------------------------------------------------
+  // History
+  // --------------------------------------------------------------------------
+  toggleHistory(e) {
+    const id = e.currentTarget.dataset.id;
+    this.notes = this.notes.map((n) => {
+      if (n.Id !== id) return n;
+      const showHistory = !n.showHistory;
+      return { ...n, showHistory, historyLabel: showHistory ? 'Hide history' : 'History' };
+    });
+  }
+
+  handleRestore() {
+    return this.loadNotes();
+  }
+
   // --------------------------------------------------------------------------
   // Delete
   // --------------------------------------------------------------------------
@@ -379,11 +806,11 @@ export default class NotepadDashboard extends NavigationMixin(LightningElement)
       .then(() => {
         this._toast('Deleted', 'Note deleted.', 'success');
         this.cancelDelete();
-        return refreshApex(this.wiredResult);
+        return this.loadNotes();
       })
       .catch((err) => {
         console.error('deleteNote error', err);
-        this._toast('Error', 'Failed to delete note.', 'error');
+        this._toast('Error', err.body?.message || 'Failed to delete note.', 'error');
         this.cancelDelete();
       });
   }
@@ -407,7 +834,7 @@ export default class NotepadDashboard extends NavigationMixin(LightningElement)
               updatedNote.notificationIconSrc = noteNotifyMeOnIcon;
               this._replaceNote(NoteIndex, updatedNote);
               this._toast('Notification Enabled', 'You will be notified about this note.', 'success');
-              refreshApex(this.wiredResult);
+              if (this.reminderFilter) this.loadNotes();
             })
             .catch((error) => {
               console.error('Error creating Note reminder:', error);
@@ -422,7 +849,7 @@ export default class NotepadDashboard extends NavigationMixin(LightningElement)
               updatedNote.notificationIconSrc = noteNotfiyMeOffIcon;
               this._replaceNote(NoteIndex, updatedNote);
               this._toast('Notification Disabled', 'You will no longer be notified about this note.', 'success');
-              refreshApex(this.wiredResult);
+              if (this.reminderFilter) this.loadNotes();
             })
             .catch((error) => {
               console.error('Error removing Note reminder:', error);
@@ -435,6 +862,27 @@ export default class NotepadDashboard extends NavigationMixin(LightningElement)
       });
   }
 
+  // --------------------------------------------------------------------------
+  // Email digest preference
+  // --------------------------------------------------------------------------
+  handleEmailDigestChange(e) {
+    const enabled = e.target.checked;
+    setEmailDigestPreference({ enabled })
+      .then(() => {
+        this.emailDigest = enabled;
+        this._toast(
+          'Preference Saved',
+          enabled ? 'Reminders will also be emailed as a digest.' : 'Email digests turned off.',
+          'success'
+        );
+      })
+      .catch((err) => {
+        console.error('setEmailDigestPreference error', err);
+        this.emailDigest = !enabled;
+        this._toast('Error', 'Failed to save email digest preference.', 'error');
+      });
+  }
+
   // --------------------------------------------------------------------------
   // Toast helper
   // --------------------------------------------------------------------------